@@ -0,0 +1,72 @@
+'use strict';
+
+var _ = require('lodash');
+var util = require('util');
+var http = require('http');
+
+/**
+ * An error that is sent to the client with the given status code.
+ *
+ * All errors thrown by the generated route handlers are converted into `HttpError`s.
+ * The response body created by the generator's `errorFormatter` is stored to `data`.
+ *
+ * @param {number} statusCode
+ * @param {string=} code
+ *    A machine readable error code like `NotFound`. Defaults to the status text in pascal case.
+ * @param {string=} message
+ *    Defaults to the status text.
+ * @param {Object.<string, Array.<Object>>=} errors
+ *    Per-field errors.
+ * @constructor
+ */
+function HttpError(statusCode, code, message, errors) {
+  Error.call(this);
+  Error.captureStackTrace(this, HttpError);
+
+  var statusText = http.STATUS_CODES[statusCode] || 'Unknown Error';
+
+  this.name = 'HttpError';
+  this.message = message || statusText;
+
+  /**
+   * @type {number}
+   */
+  this.statusCode = statusCode;
+
+  /**
+   * @type {string}
+   */
+  this.code = code || _.upperFirst(_.camelCase(statusText));
+
+  /**
+   * Errors of each invalid field as `{message, keyword}` objects.
+   *
+   * @type {Object.<string, Array.<Object>>}
+   */
+  this.errors = errors || {};
+
+  /**
+   * The original error if this error was created from another error.
+   *
+   * @type {Error}
+   */
+  this.cause = null;
+
+  /**
+   * The response body.
+   *
+   * @type {*}
+   */
+  this.data = null;
+
+  /**
+   * The headers of the response like the serializer's `Content-Type`.
+   *
+   * @type {Object.<string, string>}
+   */
+  this.headers = {};
+}
+
+util.inherits(HttpError, Error);
+
+module.exports = HttpError;
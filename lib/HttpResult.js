@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * A response with a status code and headers other than the default 200.
+ *
+ * The generated route handlers return either the response body or an `HttpResult`.
+ * Adapters send `body` with `statusCode` and `headers`. If `body` is undefined the
+ * response has no body.
+ *
+ * @param {number} statusCode
+ * @param {*=} body
+ * @param {Object.<string, string>=} headers
+ * @constructor
+ */
+function HttpResult(statusCode, body, headers) {
+  /**
+   * @type {number}
+   */
+  this.statusCode = statusCode;
+
+  /**
+   * @type {*}
+   */
+  this.body = body;
+
+  /**
+   * Response headers by name.
+   *
+   * @type {Object.<string, string>}
+   */
+  this.headers = headers || {};
+}
+
+module.exports = HttpResult;
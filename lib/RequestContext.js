@@ -0,0 +1,125 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * The request object passed to the generated route handlers and to everything they call,
+ * like the function given to `RestApiGenerator.databaseGetter`.
+ *
+ * Adapters create a `RequestContext` from the framework's request object:
+ *
+ * | Property  | express       | koa              | fastify       | http          |
+ * |-----------|---------------|------------------|---------------|---------------|
+ * | `headers` | `req.headers` | `ctx.headers`    | `req.headers` | `req.headers` |
+ * | `user`    | `req.user`    | `ctx.state.user` | `req.user`    | `req.user`    |
+ * | `locals`  | `res.locals`  | `ctx.state`      | `req.locals`  | `res.locals`  |
+ *
+ * Custom adapters may pass a plain object with the same properties to the route
+ * handlers. It is converted into a `RequestContext`.
+ *
+ * @param {Object=} props
+ * @constructor
+ */
+function RequestContext(props) {
+  props = props || {};
+
+  /**
+   * HTTP method in upper case.
+   *
+   * @type {string}
+   */
+  this.method = props.method ? props.method.toUpperCase() : null;
+
+  /**
+   * Path of the request without the query string.
+   *
+   * @type {string}
+   */
+  this.path = props.path || null;
+
+  /**
+   * The route pattern the request matched, like `/persons/:id`. Set by the
+   * generated route handlers.
+   *
+   * @type {string}
+   */
+  this.route = props.route || null;
+
+  /**
+   * Route parameters like `id` and `relatedId`.
+   *
+   * @type {Object.<string, string>}
+   */
+  this.params = props.params || {};
+
+  /**
+   * Parsed query string.
+   *
+   * @type {Object.<string, string|Array.<string>>}
+   */
+  this.query = props.query || {};
+
+  /**
+   * Parsed request body.
+   *
+   * @type {*}
+   */
+  this.body = props.body;
+
+  /**
+   * Request headers. The header names are in lower case.
+   *
+   * @type {Object.<string, string>}
+   */
+  this.headers = _.mapKeys(props.headers, function (value, name) {
+    return name.toLowerCase();
+  });
+
+  /**
+   * The authenticated principal or null if the request is not authenticated.
+   *
+   * @type {*}
+   */
+  this.user = props.user || null;
+
+  /**
+   * Arbitrary per-request state provided by the adapter.
+   *
+   * @type {Object}
+   */
+  this.locals = props.locals || {};
+
+  /**
+   * The knex transaction the request runs in. Set for the operations of a batch
+   * request so that all of them are executed in the same transaction.
+   *
+   * @type {knex.Transaction}
+   */
+  this.transaction = props.transaction || null;
+}
+
+/**
+ * Returns the value of a request header. The name is case insensitive.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+RequestContext.prototype.header = function (name) {
+  return this.headers[name.toLowerCase()];
+};
+
+/**
+ * Converts `req` into a `RequestContext` unless it already is one.
+ *
+ * @param {Object|RequestContext} req
+ * @returns {RequestContext}
+ */
+RequestContext.from = function (req) {
+  if (req instanceof RequestContext) {
+    return req;
+  } else {
+    return new RequestContext(req);
+  }
+};
+
+module.exports = RequestContext;
@@ -1,10 +1,32 @@
 'use strict';
 
 var _ = require('lodash');
+var url = require('url');
+var querystring = require('querystring');
 var colors = require('colors/safe');
 var Promise = require('bluebird');
 var findQuery = require('objection-find');
+var utils = require('./utils');
+var audit = require('./audit');
+var errors = require('./errors');
+var bulk = require('./bulk');
+var batch = require('./batch');
+var aggregates = require('./aggregates');
+var cursorPagination = require('./cursorPagination');
+var search = require('./search');
+var etags = require('./etags');
+var sparseFieldsets = require('./sparseFieldsets');
+var findFields = require('./findFields');
+var softDelete = require('./softDelete');
+var graph = require('./graph');
+var openApi = require('./openApi');
+var HttpError = require('./HttpError');
+var HttpResult = require('./HttpResult');
+var RequestContext = require('./RequestContext');
 var expressAdapter = require('./adapters/expressAdapter');
+var jsonSerializer = require('./serializers/jsonSerializer');
+
+var error = utils.error;
 
 /**
  * POST /persons
@@ -25,10 +47,26 @@ var expressAdapter = require('./adapters/expressAdapter');
  * DELETE /persons/:id/children
  * DELETE /persons/:id/movies
  *
+ * POST /persons/:id/movies/:relatedId
+ * DELETE /persons/:id/movies/:relatedId
+ *
+ * GET /persons/_count
+ * GET /persons/_aggregate
+ * GET /persons/:id/movies/_count
+ * GET /persons/:id/movies/_aggregate
+ *
+ * POST /persons/:id/restore
+ *
+ * POST /_batch
+ *
+ * HEAD for each GET route and OPTIONS for each path above.
+ *
  * restApiGenerator()
  *   .addModel(Person)
  *   .addModel(Movie)
  *   .exclude('PUT', '/api/v1/persons')
+ *
+ * restApiGenerator.openApi({info: {title: 'My API', version: '1.0.0'}})
  */
 
 function RestApiGenerator(objection) {
@@ -36,10 +74,15 @@ function RestApiGenerator(objection) {
   this._logger = _.noop;
   this._models = Object.create(null);
   this._findQueries = Object.create(null);
+  this._options = Object.create(null);
   this._routePrefix = '/';
   this._exclude = [];
   this._databaseGetter = null;
   this._adapter = expressAdapter;
+  this._errorFormatter = errors.formatError;
+  this._auditSink = null;
+  this._serializer = jsonSerializer;
+  this._handlers = [];
   this._pluralizer = function (word) {
     return word + 's';
   };
@@ -50,14 +93,91 @@ RestApiGenerator.prototype.logger = function (logger) {
   return this;
 };
 
-RestApiGenerator.prototype.addModel = function (modelClass, modifyCb) {
+/**
+ * Adds a model for which the routes are generated.
+ *
+ * The second argument is either a function that is called with the model's
+ * objection-find query builder or an options object:
+ *
+ * ```js
+ * restApiGenerator.addModel(Animal, {
+ *   // Called with the objection-find query builder of the model.
+ *   findQuery: function (findQuery) {
+ *     findQuery.allowEager('owner');
+ *   },
+ *
+ *   // Called before each operation of the generated routes.
+ *   authorize: function (req, operation, builder, relation) {
+ *     if (!req.user) {
+ *       return false;
+ *     }
+ *
+ *     if (operation !== 'read') {
+ *       builder.where('Animal.ownerId', req.user.id);
+ *     }
+ *   }
+ * });
+ * ```
+ *
+ * `operation` is one of `read`, `create`, `update`, `delete`, `relate`, `unrelate` and `restore`. The hook can
+ * narrow down the query `builder` of the operation before objection-find filters are
+ * applied and before the query is executed. Returning `false` rejects the request with
+ * 401 if `req.user` is not set and with 403 otherwise. Throwing an error that has a
+ * `statusCode` rejects it with that status. The hook may also return a promise.
+ *
+ * In relation routes the owner model's hook is called with operation `read` and the
+ * query that fetches the owner. After that the related model's hook is called with the
+ * relation's query and the `relation` argument.
+ *
+ * Lifecycle hooks `beforeInsert`, `afterInsert`, `beforeUpdate`, `afterUpdate`, `beforeDelete`,
+ * `afterDelete`, `beforeRelate`, `afterRelate`, `beforeUnrelate` and `afterUnrelate` are called with
+ * `(req, modelClass, models, relation)`
+ * inside the transaction of the operation. `modelClass` is bound to the transaction and
+ * `models` is an array of the affected models. The `before` hooks may modify the models.
+ * Throwing or rejecting rolls back the transaction.
+ *
+ * `writableFields` lists the fields that request bodies may have, either as an array or
+ * separately for `create` and `update` operations. Other fields are rejected with 422.
+ * `readOnlyFields` are silently removed from request bodies. The responses only have the
+ * `readableFields` of the models, if given, and never the `hiddenFields`.
+ *
+ * With an `allowInsert` relation expression `POST` inserts the request body as a graph
+ * using `insertGraph` and with an `allowUpsert` expression `PUT /:id` upserts it. Only the
+ * relations in the expressions can be written. The related models are authorized and
+ * hooked by their own model options.
+ *
+ * The ETags of the single model routes are computed from the `versionColumn`, if given,
+ * and from a hash of the row otherwise.
+ *
+ * With `softDelete: {column, allowWithDeleted}` deletes set the column instead of deleting
+ * the rows and the soft deleted models are hidden unless the request has `withDeleted=true`
+ * and `allowWithDeleted(req)` returns true.
+ *
+ * The `/_aggregate` routes can only aggregate the `aggregateFields` and group by the
+ * `groupByFields` of a model.
+ *
+ * With `search: {columns, weights, language}` the collection routes of the model accept
+ * a full-text search parameter `q`. See `search.apply`.
+ *
+ * @param {Model} modelClass
+ * @param {Object|function(FindQueryBuilder)=} options
+ * @returns {RestApiGenerator}
+ */
+RestApiGenerator.prototype.addModel = function (modelClass, options) {
   var self = this;
 
+  if (_.isFunction(options)) {
+    options = {findQuery: options};
+  }
+
+  options = options || {};
+
   this._models[modelClass.tableName] = modelClass;
+  this._options[modelClass.tableName] = options;
   this._findQueries[modelClass.tableName] = findQuery(modelClass);
 
-  if (modifyCb) {
-   modifyCb(this._findQueries[modelClass.tableName]);
+  if (options.findQuery) {
+    options.findQuery(this._findQueries[modelClass.tableName]);
   }
 
   _.each(modelClass.getRelations(), function (relation) {
@@ -91,6 +211,21 @@ RestApiGenerator.prototype.exclude = function (method, exclude) {
   return this;
 };
 
+/**
+ * Sets a function that returns the knex instance to use for a request.
+ *
+ * The function is called with the `RequestContext` of the request so the database
+ * can be chosen based on the headers, the authenticated user etc.
+ *
+ * ```js
+ * restApiGenerator.databaseGetter(function (req) {
+ *   return knexForTenant(req.header('x-tenant'));
+ * });
+ * ```
+ *
+ * @param {function(RequestContext):knex} databaseGetter
+ * @returns {RestApiGenerator}
+ */
 RestApiGenerator.prototype.databaseGetter = function (databaseGetter) {
   this._databaseGetter = databaseGetter;
   return this;
@@ -101,81 +236,288 @@ RestApiGenerator.prototype.adapter = function (adapter) {
   return this;
 };
 
+/**
+ * Sets a function that creates the response body for errors.
+ *
+ * All errors thrown by the route handlers are first converted into `HttpError`s that
+ * have a `statusCode`, a `code`, a `message` and per-field `errors`. The default
+ * formatter returns them as `{status, code, message, errors}`:
+ *
+ * ```js
+ * restApiGenerator.errorFormatter(function (err, req) {
+ *   return {error: {code: err.code, message: err.message, fields: err.errors}};
+ * });
+ * ```
+ *
+ * The original error, if any, is available as `err.cause`.
+ *
+ * @param {function(HttpError, RequestContext):*} errorFormatter
+ * @returns {RestApiGenerator}
+ */
+RestApiGenerator.prototype.errorFormatter = function (errorFormatter) {
+  this._errorFormatter = errorFormatter;
+  return this;
+};
+
+/**
+ * Sets a function that writes the audit log entries of the generated routes.
+ *
+ * Each insert, update, patch, delete, restore, relate and unrelate creates an entry
+ * per affected model:
+ *
+ * ```js
+ * {
+ *   operation: 'patch',
+ *   method: 'PATCH',
+ *   path: '/persons/1',
+ *   route: '/persons/:id',
+ *   actor: req.user,
+ *   tableName: 'Person',
+ *   id: 1,
+ *   relation: null,
+ *   ownerId: null,
+ *   before: {id: 1, firstName: 'Jennifer', ...},
+ *   after: {id: 1, firstName: 'Jenny', ...},
+ *   timestamp: new Date()
+ * }
+ * ```
+ *
+ * `relation` and `ownerId` are set for the relation routes. `before` is null for
+ * inserted models and `after` for deleted ones. The sink is called with the entries
+ * and the transaction of the operation before the `after*` hooks. If it throws or
+ * rejects, the operation is rolled back.
+ *
+ * `audit.tableSink(tableName)` creates a sink that inserts the entries into a table:
+ *
+ * ```js
+ * restApiGenerator.auditSink(ObjectionRest.audit.tableSink('AuditLog'));
+ * ```
+ *
+ * @param {function(Array.<Object>, knex.Transaction):Promise} auditSink
+ * @returns {RestApiGenerator}
+ */
+RestApiGenerator.prototype.auditSink = function (auditSink) {
+  this._auditSink = auditSink;
+  return this;
+};
+
+/**
+ * Sets the serializer that converts the results of the generated routes into response
+ * bodies and the request bodies into the JSON the routes expect. The default is
+ * `serializers.json` that responds with plain JSON. `serializers.jsonApi` speaks JSON:API.
+ *
+ * A serializer is an object with the methods `serialize(result, context)` and
+ * `deserialize(body, context)` and an optional `contentType` of the responses, errors
+ * included. `deserialize` is called for each `POST`, `PUT` and `PATCH` request and
+ * `serialize` for each result that has a body. `context` has the following properties:
+ *
+ * | Property                       | Description                                                      |
+ * |--------------------------------|------------------------------------------------------------------|
+ * | `req`                          | The `RequestContext`.                                            |
+ * | `operation`                    | The operation of the route like `findAll`. See `routes`.         |
+ * | `modelClass`                   | The model of the route or the related model of a relation route. |
+ * | `relation`                     | The relation of a relation route or null.                        |
+ * | `isModel(value)`               | Tests if a value is a model.                                     |
+ * | `attributes(model, path)`      | The readable fields of a model without its relations.            |
+ * | `type(modelClass)`             | The name of a model's route like `persons`.                      |
+ * | `modelUrl(model)`              | The path of a model's `GET /:id` route or null.                  |
+ * | `relationUrl(model, relation)` | The path of a relation's `GET` route or null.                    |
+ *
+ * `path` is the relation path of an eagerly loaded model in the result. It selects the
+ * sparse fieldset of the model. `modelClass` is null for routes that don't belong to a
+ * model like `POST /_batch`.
+ *
+ * `openApi()` documents the bodies with the serializer's `contentType`. If the serializer
+ * has an `openApiSchema(schema, context)` method, it converts the schema of each plain JSON
+ * body. Its `context` only has `operation`, `modelClass`, `relation` and `type` and also
+ * `request` that is true for request bodies.
+ *
+ * @param {{serialize: function(*, Object):*, deserialize: function(*, Object):*, contentType: string=, openApiSchema: function(Object, Object):Object=}} serializer
+ * @returns {RestApiGenerator}
+ */
+RestApiGenerator.prototype.serializer = function (serializer) {
+  this._serializer = serializer;
+  return this;
+};
+
+
+RestApiGenerator.prototype.openApi = function (options) {
+  return openApi(this, options);
+};
+
+/**
+ * Returns a descriptor of each route the generator creates. No app is needed.
+ *
+ * ```js
+ * {
+ *   method: 'GET',
+ *   path: '/persons/:id/movies',
+ *   model: 'Person',
+ *   relation: 'movies',
+ *   operation: 'relationFindAll',
+ *   excluded: false
+ * }
+ * ```
+ *
+ * Routes removed using `exclude` are listed with `excluded: true`. `model` and `relation`
+ * are null for routes that don't belong to a model like `POST /_batch`.
+ *
+ * @returns {Array.<Object>}
+ */
+RestApiGenerator.prototype.routes = function () {
+  return _.map(this._routes(true), function (route) {
+    return {
+      method: route.method,
+      path: route.path,
+      model: route.modelClass ? route.modelClass.name : null,
+      relation: route.relation ? route.relation.name : null,
+      operation: route.operation,
+      excluded: route.excluded
+    };
+  });
+};
 
 RestApiGenerator.prototype.generate = function (app) {
   var self = this;
+  var modelClass = null;
+  var relation = null;
 
-  _.each(this._models, function (modelClass) {
-    self._logger(colors.green(_.capitalize(_.camelCase(modelClass.name))) + colors.white(':'));
-
-    var route = self._routeForModel(modelClass);
+  this._handlers = [];
+  this._generatedRoutes = this._routes();
 
-    if (!self._isExcluded('POST', route)) {
-      self._generatePost(app, modelClass);
+  _.each(this._generatedRoutes, function (route) {
+    if (route.modelClass && route.modelClass !== modelClass) {
+      modelClass = route.modelClass;
+      relation = null;
+      self._logger(colors.green(_.capitalize(_.camelCase(modelClass.name))) + colors.white(':'));
     }
 
-    if (!self._isExcluded('GET', route)) {
-      self._generateGetAll(app, modelClass);
+    if (route.relation && route.relation !== relation) {
+      relation = route.relation;
+      self._logger('  ' + colors.blue(relation.name) + colors.white(':'));
     }
 
-    if (!self._isExcluded('PATCH', route)) {
-      self._generatePatchAll(app, modelClass);
-    }
+    self[route.generator](app, route.relation || route.modelClass, route);
+  });
+};
 
-    if (!self._isExcluded('DELETE', route)) {
-      self._generateDeleteAll(app, modelClass);
-    }
+/**
+ * Returns a descriptor for each route that is not excluded or for all routes
+ * if `includeExcluded` is true.
+ *
+ * `generate`, `openApi` and `routes` walk through this list so that they always
+ * agree on the routes that exist.
+ *
+ * @param {boolean=} includeExcluded
+ * @returns {Array.<Object>}
+ */
+RestApiGenerator.prototype._routes = function (includeExcluded) {
+  var self = this;
+  var routes = [];
+
+  function add(method, path, operation, generator, modelClass, relation) {
+    // A HEAD route is a GET route without the body and goes away with it.
+    var excluded = self._isExcluded(method, path) || (method === 'HEAD' && self._isExcluded('GET', path));
+
+    if (!excluded || includeExcluded) {
+      routes.push({
+        method: method,
+        path: path,
+        operation: operation,
+        generator: generator,
+        modelClass: modelClass,
+        relation: relation || null,
+        excluded: excluded
+      });
 
-    if (!self._isExcluded('GET', route + '/:id')) {
-      self._generateGet(app, modelClass);
+      return _.last(routes);
     }
 
-    if (!self._isExcluded('PUT', route + '/:id')) {
-      self._generatePut(app, modelClass);
-    }
+    return null;
+  }
+
+  // Adds an OPTIONS route for a path whose other routes have already been added.
+  function addOptions(path, modelClass, relation) {
+    var allow = _.map(_.filter(routes, {path: path, excluded: false}), 'method');
+    var route = add('OPTIONS', path, 'options', '_generateOptions', modelClass, relation);
 
-    if (!self._isExcluded('PATCH', route + '/:id')) {
-      self._generatePatch(app, modelClass);
+    if (route) {
+      route.allow = route.excluded ? allow : allow.concat('OPTIONS');
     }
+  }
+
+  _.each(this._models, function (modelClass) {
+    var route = self._routeForModel(modelClass);
 
-    if (!self._isExcluded('DELETE', route + '/:id')) {
-      self._generateDelete(app, modelClass);
+    add('POST', route, 'create', '_generatePost', modelClass);
+    // HEAD routes are added before the GET routes because express and koa-router
+    // route HEAD requests to the first GET route of a path otherwise.
+    add('HEAD', route, 'count', '_generateHeadAll', modelClass);
+    add('GET', route, 'findAll', '_generateGetAll', modelClass);
+    add('PATCH', route, 'patchAll', '_generatePatchAll', modelClass);
+    add('DELETE', route, 'deleteAll', '_generateDeleteAll', modelClass);
+    addOptions(route, modelClass);
+
+    // The count and aggregate routes must be added before the `/:id` routes
+    // that would match them too.
+    add('GET', route + '/_count', 'getCount', '_generateGetCount', modelClass);
+    addOptions(route + '/_count', modelClass);
+    add('GET', route + '/_aggregate', 'aggregate', '_generateAggregate', modelClass);
+    addOptions(route + '/_aggregate', modelClass);
+
+    add('HEAD', route + '/:id', 'head', '_generateHead', modelClass);
+    add('GET', route + '/:id', 'find', '_generateGet', modelClass);
+    add('PUT', route + '/:id', 'update', '_generatePut', modelClass);
+    add('PATCH', route + '/:id', 'patch', '_generatePatch', modelClass);
+    add('DELETE', route + '/:id', 'delete', '_generateDelete', modelClass);
+    addOptions(route + '/:id', modelClass);
+
+    if (softDelete.options(self._modelOptions(modelClass))) {
+      add('POST', route + '/:id/restore', 'restore', '_generateRestore', modelClass);
+      addOptions(route + '/:id/restore', modelClass);
     }
 
     _.each(modelClass.getRelations(), function (relation) {
-      self._logger('  ' + colors.blue(relation.name) + colors.white(':'));
-
       var route = self._routeForRelation(relation);
 
-      if (!self._isExcluded('POST', route)) {
-        self._generateRelationPost(app, relation);
-      }
+      add('POST', route, 'relationCreate', '_generateRelationPost', modelClass, relation);
+      add('HEAD', route, 'relationCount', '_generateRelationHeadAll', modelClass, relation);
+      add('GET', route, 'relationFindAll', '_generateRelationGetAll', modelClass, relation);
+      add('DELETE', route, 'relationDeleteAll', '_generateRelationDeleteAll', modelClass, relation);
 
-      if (!self._isExcluded('GET', route)) {
-        self._generateRelationGetAll(app, relation);
+      if (!(relation instanceof modelClass.BelongsToOneRelation)) {
+        add('PUT', route, 'relationUpdateAll', '_generateRelationPutAll', modelClass, relation);
       }
 
-      if (!self._isExcluded('DELETE', route)) {
-        self._generateRelationDeleteAll(app, relation);
-      }
+      addOptions(route, modelClass, relation);
 
-      if (!(relation instanceof modelClass.BelongsToOneRelation)) {
-        if (!self._isExcluded('PUT', route)) {
-          self._generateRelationPutAll(app, relation);
-        }
-      }
+      add('GET', route + '/_count', 'relationGetCount', '_generateRelationGetCount', modelClass, relation);
+      addOptions(route + '/_count', modelClass, relation);
+      add('GET', route + '/_aggregate', 'relationAggregate', '_generateRelationAggregate', modelClass, relation);
+      addOptions(route + '/_aggregate', modelClass, relation);
 
-      if (relation instanceof modelClass.ManyToManyRelation) {
-        if (!self._isExcluded('POST', route + '/:relatedId')) {
-          self._generateRelationRelate(app, relation);
-        }
-      }
+      add('POST', route + '/:relatedId', 'relate', '_generateRelationRelate', modelClass, relation);
+      add('DELETE', route + '/:relatedId', 'unrelate', '_generateRelationUnrelate', modelClass, relation);
+      addOptions(route + '/:relatedId', modelClass, relation);
     });
   });
+
+  add('POST', this._batchRoute(), 'batch', '_generateBatch', null);
+  addOptions(this._batchRoute(), null);
+
+  return routes;
 };
 
 RestApiGenerator.prototype._routeForModel = function (modelClass) {
-  return this._routePrefix + this._pluralizer(_.camelCase(modelClass.tableName));
+  return this._routePrefix + this._resourceName(modelClass);
+};
+
+RestApiGenerator.prototype._resourceName = function (modelClass) {
+  return this._pluralizer(_.camelCase(modelClass.tableName));
+};
+
+RestApiGenerator.prototype._batchRoute = function () {
+  return this._routePrefix + '_batch';
 };
 
 RestApiGenerator.prototype._routeForRelation = function (relation) {
@@ -201,17 +543,74 @@ RestApiGenerator.prototype._generatePost = function (app, $modelClass) {
   var route = this._routeForModel($modelClass);
 
   this._logRoute('POST', route, 1);
-  this._adapter(app, 'POST', route, function (req) {
+  this._registerRoute(app, 'POST', route, function (req) {
     var modelClass = self._bindModelClass($modelClass, req);
 
     return self._objection.transaction(modelClass, function (modelClass) {
-      return modelClass
-        .query()
-        .allowEager(self._findQueries[modelClass.tableName].allowEager())
-        .eager(req.query.eager)
-        .insert(req.body)
-        .then(function (model) {
-          return model.$query().first();
+      var allowInsert = self._modelOptions(modelClass).allowInsert;
+      var builder = modelClass.query();
+
+      // An array body creates many models. They are inserted one by one because
+      // only postgres supports batch inserts.
+      var isBulk = _.isArray(req.body);
+      var writes = [];
+
+      return self._authorize(modelClass, req, 'create', builder)
+        .then(function () {
+          var models = _.map(_.castArray(req.body), function (body, index) {
+            return self._bulkItem(isBulk ? index : null, function () {
+              var json = allowInsert
+                ? self._writableGraph(modelClass, 'create', body, false)
+                : self._writableBody(modelClass, 'create', body);
+
+              return modelClass.fromJson(json);
+            });
+          });
+
+          return self._runHook('beforeInsert', modelClass, req, models);
+        })
+        .then(function (models) {
+          if (allowInsert) {
+            writes = _.flatMap(models, function (model) {
+              return graph.diff(model, null);
+            });
+          }
+
+          return self._guardGraphWrites(req, modelClass.knex(), writes).return(models);
+        })
+        .then(function (models) {
+          builder
+            .allowEager(self._findQueries[modelClass.tableName].allowEager())
+            .eager(req.query.eager);
+
+          return Promise.mapSeries(models, function (model) {
+            if (allowInsert) {
+              return builder.clone().insertGraph(model).allowInsert(allowInsert);
+            } else {
+              return builder.clone().insert(model);
+            }
+          });
+        })
+        .tap(function () {
+          return self._runGraphHooks('after', req, modelClass.knex(), writes);
+        })
+        .then(function (models) {
+          return Promise.mapSeries(models, function (model) {
+            return model.$query().first();
+          });
+        })
+        .then(function (models) {
+          if (allowInsert) {
+            return self._auditGraph(req, modelClass, allowInsert, {operation: 'insert', after: models}, models);
+          } else {
+            return self._audit(req, modelClass, {operation: 'insert', after: models}, models);
+          }
+        })
+        .then(function (models) {
+          return self._runHook('afterInsert', modelClass, req, models);
+        })
+        .then(function (models) {
+          return isBulk ? new HttpResult(201, models) : self._created(models[0]);
         });
     });
   });
@@ -222,9 +621,13 @@ RestApiGenerator.prototype._generateGetAll = function (app, $modelClass) {
   var route = this._routeForModel($modelClass);
 
   this._logRoute('GET', route, 1);
-  this._adapter(app, 'GET', route, function (req) {
+  this._registerRoute(app, 'GET', route, function (req) {
     var boundModelClass = self._bindModelClass($modelClass, req);
-    return self._findQueries[boundModelClass.tableName].build(req.query, boundModelClass.query());
+    var builder = boundModelClass.query();
+
+    return self._authorize(boundModelClass, req, 'read', builder).then(function () {
+      return self._findAll(boundModelClass, req.query, builder);
+    });
   });
 };
 
@@ -233,10 +636,46 @@ RestApiGenerator.prototype._generatePatchAll = function (app, $modelClass) {
   var route = this._routeForModel($modelClass);
 
   this._logger('PATCH ' + route);
-  this._adapter(app, 'PATCH', route, function (req) {
+  this._registerRoute(app, 'PATCH', route, function (req) {
     var boundModelClass = self._bindModelClass($modelClass, req);
-    return self._findQueries[boundModelClass.tableName].build(req.query, boundModelClass.query()).patch(req.body).then(function(count) {
+
+    if (_.isArray(req.body)) {
+      return self._bulkPatch(boundModelClass, req);
+    }
+
+    return self._objection.transaction(boundModelClass, function (boundModelClass) {
+      var builder = boundModelClass.query();
+      var idColumn = builder.fullIdColumnFor(boundModelClass);
+      var before;
+      var count;
+
+      return self._authorize(boundModelClass, req, 'update', builder).then(function () {
+        self._findQueries[boundModelClass.tableName].build(self._checkFindFields(boundModelClass, softDelete.omit(req.query)), builder);
+        return builder.clone();
+      }).then(function ($before) {
+        var patch = self._writableBody(boundModelClass, 'update', req.body);
+        before = $before;
+
+        // The hooks get a patch for each matching model like in a bulk update.
+        return self._runHook('beforeUpdate', boundModelClass, req, _.map(before, function (model) {
+          var patchModel = boundModelClass.fromJson(patch, {patch: true});
+          patchModel.$id(model.$id());
+          return patchModel;
+        }));
+      }).then(function (models) {
+        return Promise.mapSeries(models, function (model) {
+          return builder.clone().patch(model).whereComposite(idColumn, model.$id());
+        });
+      }).then(function (numUpdated) {
+        count = _.sum(numUpdated);
+        return boundModelClass.query().whereInComposite(idColumn, _.invokeMap(before, '$id'));
+      }).then(function (after) {
+        return self._audit(req, boundModelClass, {operation: 'patch', before: before, after: after}, after);
+      }).then(function (after) {
+        return self._runHook('afterUpdate', boundModelClass, req, after);
+      }).then(function () {
         return {total: count};
+      });
     });
   });
 };
@@ -246,161 +685,466 @@ RestApiGenerator.prototype._generateDeleteAll = function (app, $modelClass) {
   var route = this._routeForModel($modelClass);
 
   this._logger('DELETE ' + route);
-  this._adapter(app, 'DELETE', route, function (req) {
+  this._registerRoute(app, 'DELETE', route, function (req) {
     var boundModelClass = self._bindModelClass($modelClass, req);
-    return self._findQueries[boundModelClass.tableName].build(req.query, boundModelClass.query()).delete().then(function(count) {
+    var ids = bulk.parseIds(boundModelClass, req.query);
+
+    if (ids) {
+      return self._bulkDelete(boundModelClass, req, ids);
+    }
+
+    return self._objection.transaction(boundModelClass, function (boundModelClass) {
+      var builder = boundModelClass.query();
+      var count;
+
+      return self._authorize(boundModelClass, req, 'delete', builder).then(function () {
+        self._findQueries[boundModelClass.tableName].build(self._checkFindFields(boundModelClass, softDelete.omit(req.query)), builder);
+        return builder.clone();
+      }).then(function (models) {
+        return self._runHook('beforeDelete', boundModelClass, req, models);
+      }).then(function (models) {
+        // Only the models the hooks got are deleted.
+        return self
+          ._delete(boundModelClass, builder)
+          .whereInComposite(builder.fullIdColumnFor(boundModelClass), _.invokeMap(models, '$id'))
+          .then(function ($count) {
+            count = $count;
+            return self._audit(req, boundModelClass, {operation: 'delete', before: models}, models);
+          });
+      }).then(function (models) {
+        return self._runHook('afterDelete', boundModelClass, req, models);
+      }).then(function () {
         return {total: count};
+      });
     });
   });
 };
 
-RestApiGenerator.prototype._generateGet = function (app, $modelClass) {
+RestApiGenerator.prototype._generateGetCount = function (app, $modelClass) {
   var self = this;
-  var route = this._routeForModel($modelClass) + '/:id';
+  var route = this._routeForModel($modelClass) + '/_count';
 
   this._logRoute('GET', route, 1);
-  this._adapter(app, 'GET', route, function (req) {
+  this._registerRoute(app, 'GET', route, function (req) {
     var modelClass = self._bindModelClass($modelClass, req);
-
     var builder = modelClass.query();
-    return builder
-      .allowEager(self._findQueries[modelClass.tableName].allowEager())
-      .eager(req.query.eager)
-      .where(builder.fullIdColumnFor(modelClass), req.params.id)
-      .first()
-      .then(function (model) {
-        if (!model) { throw error(404); }
-        return model;
+
+    return self._authorize(modelClass, req, 'read', builder)
+      .then(function () {
+        return self._count(modelClass, req.query, builder);
+      })
+      .then(function (count) {
+        return {total: count};
       });
   });
 };
 
-RestApiGenerator.prototype._generatePut = function (app, $modelClass) {
+RestApiGenerator.prototype._generateAggregate = function (app, $modelClass) {
   var self = this;
-  var route = this._routeForModel($modelClass) + '/:id';
+  var route = this._routeForModel($modelClass) + '/_aggregate';
 
-  this._logRoute('PUT', route, 1);
-  this._adapter(app, 'PUT', route, function (req) {
+  this._logRoute('GET', route, 1);
+  this._registerRoute(app, 'GET', route, function (req) {
     var modelClass = self._bindModelClass($modelClass, req);
-
     var builder = modelClass.query();
-    return builder
-      .update(req.body)
-      .where(builder.fullIdColumnFor(modelClass), req.params.id)
-      .then(function (model) {
-        return modelClass
-          .query()
-          .allowEager(self._findQueries[modelClass.tableName].allowEager())
-          .eager(req.query.eager)
-          .where(builder.fullIdColumnFor(modelClass), req.params.id)
-          .first();
-      })
-      .then(function (model) {
-        if (!model) { throw error(404); }
-        return model;
-      });
+
+    return self._authorize(modelClass, req, 'read', builder).then(function () {
+      return self._aggregate(modelClass, req.query, builder);
+    });
   });
 };
 
-RestApiGenerator.prototype._generatePatch = function (app, $modelClass) {
+RestApiGenerator.prototype._generateGet = function (app, $modelClass) {
   var self = this;
   var route = this._routeForModel($modelClass) + '/:id';
 
-  this._logRoute('PATCH', route, 1);
-  this._adapter(app, 'PATCH', route, function (req) {
-    var modelClass = self._bindModelClass($modelClass, req);
+  this._logRoute('GET', route, 1);
+  this._registerRoute(app, 'GET', route, function (req) {
+    return self._find($modelClass, req);
+  });
+};
+
+RestApiGenerator.prototype._generateHead = function (app, $modelClass) {
+  var self = this;
+  var route = this._routeForModel($modelClass) + '/:id';
+
+  this._logRoute('HEAD', route, 1);
+  this._registerRoute(app, 'HEAD', route, function (req) {
+    return self._find($modelClass, req).then(function (result) {
+      if (result instanceof HttpResult) {
+        return new HttpResult(result.statusCode, undefined, result.headers);
+      } else {
+        return new HttpResult(200);
+      }
+    });
+  });
+};
+
+RestApiGenerator.prototype._generateHeadAll = function (app, $modelClass) {
+  var self = this;
+  var route = this._routeForModel($modelClass);
 
+  this._logRoute('HEAD', route, 1);
+  this._registerRoute(app, 'HEAD', route, function (req) {
+    var modelClass = self._bindModelClass($modelClass, req);
     var builder = modelClass.query();
-    return builder
-      .patch(req.body)
-      .where(builder.fullIdColumnFor(modelClass), req.params.id)
+
+    return self._authorize(modelClass, req, 'read', builder)
       .then(function () {
-        return modelClass
-          .query()
-          .allowEager(self._findQueries[modelClass.tableName].allowEager())
-          .eager(req.query.eager)
-          .where(builder.fullIdColumnFor(modelClass), req.params.id)
-          .first();
+        return self._count(modelClass, req.query, builder);
       })
-      .then(function (model) {
-        if (!model) { throw error(404); }
-        return model;
+      .then(function (count) {
+        return new HttpResult(200, undefined, {'X-Total-Count': String(count)});
       });
   });
 };
 
-RestApiGenerator.prototype._generateDelete = function (app, $modelClass) {
+/**
+ * Responds with the methods of a path in the `Allow` header. `route.allow` has the
+ * methods of the path's routes that are not excluded.
+ */
+RestApiGenerator.prototype._generateOptions = function (app, $modelClass, route) {
+  var allow = route.allow.join(', ');
+
+  this._logRoute('OPTIONS', route.path, route.relation ? 2 : (route.modelClass ? 1 : 0));
+  this._registerRoute(app, 'OPTIONS', route.path, function () {
+    return new HttpResult(204, undefined, {Allow: allow});
+  });
+};
+
+RestApiGenerator.prototype._generatePut = function (app, $modelClass) {
   var self = this;
   var route = this._routeForModel($modelClass) + '/:id';
 
-  this._logRoute('DELETE', route, 1);
-  this._adapter(app, 'DELETE', route, function (req) {
+  this._logRoute('PUT', route, 1);
+  this._registerRoute(app, 'PUT', route, function (req) {
     var modelClass = self._bindModelClass($modelClass, req);
 
     return self._objection.transaction(modelClass, function (modelClass) {
+      var allowUpsert = self._modelOptions(modelClass).allowUpsert;
       var builder = modelClass.query();
-      return builder
-        .delete()
-        .where(builder.fullIdColumnFor(modelClass), req.params.id);
-    }).then(function () {
-      return {};
+      var current;
+      var before;
+
+      return self._authorize(modelClass, req, 'update', builder)
+        .then(function () {
+          return self._checkIfMatch(modelClass, req, builder);
+        })
+        .then(function ($current) {
+          current = $current;
+
+          if (allowUpsert) {
+            // The related models of the graph are audited too.
+            return self._auditBefore(builder.clone().eager(allowUpsert).whereComposite(builder.fullIdColumnFor(modelClass), current.$id()));
+          } else {
+            return [current];
+          }
+        })
+        .then(function ($before) {
+          before = $before;
+
+          var json = allowUpsert
+            ? self._writableGraph(modelClass, 'update', req.body, true)
+            : self._writableBody(modelClass, 'update', req.body);
+
+          return self._runHook('beforeUpdate', modelClass, req, [modelClass.fromJson(json)]);
+        })
+        .then(function (models) {
+          var id = self._routeId(modelClass, req.params.id);
+
+          if (allowUpsert) {
+            self._nextVersion(modelClass, models[0], current);
+            return self._upsertGraph(req, builder, id, models[0], allowUpsert);
+          } else {
+            return self._whereVersion(modelClass, builder.update(models[0]), models[0], current)
+              .whereComposite(builder.fullIdColumnFor(modelClass), id);
+          }
+        })
+        .then(function (numUpdated) {
+          if (!numUpdated) { throw self._notUpdated(modelClass); }
+          return self
+            ._eager(modelClass.query(), modelClass, req)
+            .whereComposite(builder.fullIdColumnFor(modelClass), self._routeId(modelClass, req.params.id))
+            .first();
+        })
+        .then(function (model) {
+          if (!model) { throw error(404); }
+
+          if (allowUpsert) {
+            return self._auditGraph(req, modelClass, allowUpsert, {operation: 'update', before: before, after: [model]}, [model]);
+          } else {
+            return self._audit(req, modelClass, {operation: 'update', before: before, after: [model]}, [model]);
+          }
+        })
+        .then(function (models) {
+          return self._runHook('afterUpdate', modelClass, req, models);
+        })
+        .then(function (models) {
+          return self._withEtag(models[0], etags.compute(models[0], self._modelOptions(modelClass), false));
+        });
     });
   });
 };
 
-RestApiGenerator.prototype._generateRelationPost = function (app, relation) {
+RestApiGenerator.prototype._generatePatch = function (app, $modelClass) {
   var self = this;
-  var route = this._routeForRelation(relation);
+  var route = this._routeForModel($modelClass) + '/:id';
 
-  this._logRoute('POST', route, 2);
-  this._adapter(app, 'POST', route, function (req) {
-    var modelClass = self._bindModelClass(relation.ownerModelClass, req);
+  this._logRoute('PATCH', route, 1);
+  this._registerRoute(app, 'PATCH', route, function (req) {
+    var modelClass = self._bindModelClass($modelClass, req);
 
     return self._objection.transaction(modelClass, function (modelClass) {
       var builder = modelClass.query();
-      return builder
-        .where(builder.fullIdColumnFor(modelClass), req.params.id)
-        .first()
+
+      var current;
+
+      return self._authorize(modelClass, req, 'update', builder)
+        .then(function () {
+          return self._checkIfMatch(modelClass, req, builder);
+        })
+        .then(function ($current) {
+          current = $current;
+          return self._runHook('beforeUpdate', modelClass, req, [modelClass.fromJson(self._writableBody(modelClass, 'update', req.body), {patch: true})]);
+        })
+        .then(function (models) {
+          return self._whereVersion(modelClass, builder.patch(models[0]), models[0], current)
+            .whereComposite(builder.fullIdColumnFor(modelClass), self._routeId(modelClass, req.params.id));
+        })
+        .then(function (numUpdated) {
+          if (!numUpdated) { throw self._notUpdated(modelClass); }
+          return self
+            ._eager(modelClass.query(), modelClass, req)
+            .whereComposite(builder.fullIdColumnFor(modelClass), self._routeId(modelClass, req.params.id))
+            .first();
+        })
         .then(function (model) {
           if (!model) { throw error(404); }
-          return model
-            .$relatedQuery(relation.name)
-            .insert(req.body);
+          return self._audit(req, modelClass, {operation: 'patch', before: [current], after: [model]}, [model]);
         })
-        .then(function (model) {
-          return model
-            .$query()
-            .first()
-            .allowEager(self._findQueries[relation.relatedModelClass.tableName].allowEager())
-            .eager(req.query.eager);
+        .then(function (models) {
+          return self._runHook('afterUpdate', modelClass, req, models);
+        })
+        .then(function (models) {
+          return self._withEtag(models[0], etags.compute(models[0], self._modelOptions(modelClass), false));
         });
     });
   });
 };
 
-RestApiGenerator.prototype._generateRelationGetAll = function (app, relation) {
+RestApiGenerator.prototype._generateDelete = function (app, $modelClass) {
   var self = this;
-  var route = this._routeForRelation(relation);
+  var route = this._routeForModel($modelClass) + '/:id';
 
-  this._logRoute('GET', route, 2);
-  this._adapter(app, 'GET', route, function (req) {
-    var modelClass = self._bindModelClass(relation.ownerModelClass, req);
+  this._logRoute('DELETE', route, 1);
+  this._registerRoute(app, 'DELETE', route, function (req) {
+    var modelClass = self._bindModelClass($modelClass, req);
 
-    var builder = modelClass.query();
-    return builder
-      .where(builder.fullIdColumnFor(modelClass), req.params.id)
-      .first()
-      .then(function (model) {
-        if (!model) { throw error(404); }
-        var query = model.$relatedQuery(relation.name);
-        self._findQueries[relation.relatedModelClass.tableName].build(req.query, query);
+    return self._objection.transaction(modelClass, function (modelClass) {
+      var builder = modelClass.query();
 
-        if (relation instanceof modelClass.BelongsToOneRelation) {
-          return query.first();
+      return self._authorize(modelClass, req, 'delete', builder)
+        .then(function () {
+          return self._checkIfMatch(modelClass, req, builder);
+        })
+        .then(function () {
+          builder.whereComposite(builder.fullIdColumnFor(modelClass), self._routeId(modelClass, req.params.id));
+          return builder.clone();
+        })
+        .then(function (models) {
+          return self._runHook('beforeDelete', modelClass, req, models);
+        })
+        .then(function (models) {
+          return self._delete(modelClass, builder).return(models);
+        })
+        .then(function (models) {
+          return self._audit(req, modelClass, {operation: 'delete', before: models}, models);
+        })
+        .then(function (models) {
+          return self._runHook('afterDelete', modelClass, req, models);
+        });
+    }).then(function () {
+      return new HttpResult(204);
+    });
+  });
+};
+
+RestApiGenerator.prototype._generateRestore = function (app, $modelClass) {
+  var self = this;
+  var route = this._routeForModel($modelClass) + '/:id/restore';
+
+  this._logRoute('POST', route, 1);
+  this._registerRoute(app, 'POST', route, function (req) {
+    var modelClass = self._bindModelClass($modelClass, req);
+
+    return self._objection.transaction(modelClass, function (modelClass) {
+      var options = softDelete.options(self._modelOptions(modelClass));
+      var builder = modelClass.query();
+      var patch = {};
+      var before;
+
+      patch[modelClass.columnNameToPropertyName(options.column)] = null;
+
+      return self._authorize(modelClass, req, 'restore', builder)
+        .then(function () {
+          return self._auditBefore(builder.clone().whereComposite(builder.fullIdColumnFor(modelClass), self._routeId(modelClass, req.params.id)));
+        })
+        .then(function ($before) {
+          before = $before;
+          return self._runHook('beforeUpdate', modelClass, req, [modelClass.fromJson(patch, {patch: true})]);
+        })
+        .then(function (models) {
+          // Only soft deleted models can be restored.
+          return builder
+            .patch(models[0])
+            .whereComposite(builder.fullIdColumnFor(modelClass), self._routeId(modelClass, req.params.id))
+            .whereNotNull(modelClass.tableName + '.' + options.column);
+        })
+        .then(function (numUpdated) {
+          if (!numUpdated) { throw error(404); }
+          return self
+            ._eager(modelClass.query(), modelClass, req)
+            .whereComposite(builder.fullIdColumnFor(modelClass), self._routeId(modelClass, req.params.id))
+            .first();
+        })
+        .then(function (model) {
+          return self._audit(req, modelClass, {operation: 'restore', before: before, after: [model]}, [model]);
+        })
+        .then(function (models) {
+          return self._runHook('afterUpdate', modelClass, req, models);
+        })
+        .then(_.first);
+    });
+  });
+};
+
+RestApiGenerator.prototype._generateRelationPost = function (app, relation) {
+  var self = this;
+  var route = this._routeForRelation(relation);
+
+  this._logRoute('POST', route, 2);
+  this._registerRoute(app, 'POST', route, function (req) {
+    var modelClass = self._bindModelClass(relation.ownerModelClass, req);
+    var relatedModelClass = self._bindModelClass(relation.relatedModelClass, req);
+
+    return self._objection.transaction(modelClass, relatedModelClass, function (modelClass, relatedModelClass) {
+      var owner;
+
+      return self._findOwner(modelClass, req)
+        .then(function (model) {
+          var query = model.$relatedQuery(relation.name);
+          owner = model;
+
+          return self._authorize(relatedModelClass, req, 'create', query, relation)
+            .then(function () {
+              return self._runHook('beforeInsert', relatedModelClass, req, [relatedModelClass.fromJson(self._writableBody(relatedModelClass, 'create', req.body))], relation);
+            })
+            .then(function (models) {
+              return query.insert(models[0]);
+            });
+        })
+        .then(function (model) {
+          return self._eager(model.$query().first(), relatedModelClass, req);
+        })
+        .then(function (model) {
+          return self._audit(req, relatedModelClass, {operation: 'insert', after: [model], relation: relation, owner: owner}, [model]);
+        })
+        .then(function (models) {
+          return self._runHook('afterInsert', relatedModelClass, req, models, relation);
+        })
+        .then(function (models) {
+          return self._created(models[0]);
+        });
+    });
+  });
+};
+
+RestApiGenerator.prototype._generateRelationGetAll = function (app, relation) {
+  var self = this;
+  var route = this._routeForRelation(relation);
+
+  this._logRoute('GET', route, 2);
+  this._registerRoute(app, 'GET', route, function (req) {
+    var modelClass = self._bindModelClass(relation.ownerModelClass, req);
+
+    return self._findOwner(modelClass, req).then(function (model) {
+      var query = model.$relatedQuery(relation.name);
+
+      return self._authorize(relation.relatedModelClass, req, 'read', query, relation).then(function () {
+        if (relation instanceof modelClass.BelongsToOneRelation) {
+          self._selectFields(query, relation.relatedModelClass, req.query);
+          self._search(relation.relatedModelClass, req.query, query, false);
+          return self._findQueries[relation.relatedModelClass.tableName].build(self._checkFindFields(relation.relatedModelClass, search.omit(softDelete.omit(sparseFieldsets.omit(req.query)))), query).first().then(function (related) {
+            // Every adapter responds with a JSON null if there is no related model.
+            return related ? related : new HttpResult(200, null);
+          });
         } else {
-          return query;
+          return self._findAll(relation.relatedModelClass, req.query, query);
         }
       });
+    });
+  });
+};
+
+RestApiGenerator.prototype._generateRelationHeadAll = function (app, relation) {
+  var self = this;
+  var route = this._routeForRelation(relation);
+
+  this._logRoute('HEAD', route, 2);
+  this._registerRoute(app, 'HEAD', route, function (req) {
+    var modelClass = self._bindModelClass(relation.ownerModelClass, req);
+
+    return self._findOwner(modelClass, req)
+      .then(function (model) {
+        var query = model.$relatedQuery(relation.name);
+
+        return self._authorize(relation.relatedModelClass, req, 'read', query, relation).then(function () {
+          return self._count(relation.relatedModelClass, req.query, query);
+        });
+      })
+      .then(function (count) {
+        return new HttpResult(200, undefined, {'X-Total-Count': String(count)});
+      });
+  });
+};
+
+RestApiGenerator.prototype._generateRelationGetCount = function (app, relation) {
+  var self = this;
+  var route = this._routeForRelation(relation) + '/_count';
+
+  this._logRoute('GET', route, 2);
+  this._registerRoute(app, 'GET', route, function (req) {
+    var modelClass = self._bindModelClass(relation.ownerModelClass, req);
+
+    return self._findOwner(modelClass, req)
+      .then(function (model) {
+        var query = model.$relatedQuery(relation.name);
+
+        return self._authorize(relation.relatedModelClass, req, 'read', query, relation).then(function () {
+          return self._count(relation.relatedModelClass, req.query, query);
+        });
+      })
+      .then(function (count) {
+        return {total: count};
+      });
+  });
+};
+
+RestApiGenerator.prototype._generateRelationAggregate = function (app, relation) {
+  var self = this;
+  var route = this._routeForRelation(relation) + '/_aggregate';
+
+  this._logRoute('GET', route, 2);
+  this._registerRoute(app, 'GET', route, function (req) {
+    var modelClass = self._bindModelClass(relation.ownerModelClass, req);
+
+    return self._findOwner(modelClass, req).then(function (model) {
+      var query = model.$relatedQuery(relation.name);
+
+      return self._authorize(relation.relatedModelClass, req, 'read', query, relation).then(function () {
+        return self._aggregate(relation.relatedModelClass, req.query, query);
+      });
+    });
   });
 };
 
@@ -409,58 +1153,123 @@ RestApiGenerator.prototype._generateRelationPutAll = function (app, relation) {
   var route = this._routeForRelation(relation);
 
   this._logRoute('PUT', route, 2);
-  this._adapter(app, 'PUT', route, function (req) {
+  this._registerRoute(app, 'PUT', route, function (req) {
     var modelClass = self._bindModelClass(relation.ownerModelClass, req);
     var relatedModelClass = self._bindModelClass(relation.relatedModelClass, req);
     var model;
 
     return self._objection.transaction(modelClass, relatedModelClass, function (modelClass, relatedModelClass) {
       var builder = modelClass.query();
-      return builder
-        .where(builder.fullIdColumnFor(modelClass), req.params.id)
-        .first()
-        .eager(relation.name)
+      var before;
+
+      return self._findOwner(modelClass, req)
         .then(function ($model) {
           model = $model;
-          if (!model) { throw error(404); }
+          var query = model.$relatedQuery(relation.name);
+
+          return self._authorize(relatedModelClass, req, 'update', query, relation).then(function () {
+            return query;
+          });
+        })
+        .then(function (current) {
+          var idProperties = relatedModelClass.getIdPropertyArray();
+          before = current;
+
+          // Composite ids are compared as strings like `1,2`. The ids of the
+          // request body may be strings even if the ids are numbers.
+          function idKey(id) {
+            return _.some(_.castArray(id), _.isNil) ? null : utils.formatId(id);
+          }
+
+          var currentById = _.keyBy(current, function (model) {
+            return idKey(model.$id());
+          });
+
+          var inputModels = _.map(_.castArray(req.body), function (json) {
+            var id = _.at(json, idProperties);
+            var operation = currentById[idKey(id)] ? 'update' : 'create';
+            // The id identifies the models to update even if it is not writable.
+            var model = relatedModelClass.fromJson(self._writableBody(relatedModelClass, operation, _.omit(json, idProperties)));
+
+            _.each(idProperties, function (idProperty, i) {
+              if (!_.isNil(id[i])) {
+                model[idProperty] = id[i];
+              }
+            });
 
-          var current = model[relation.name];
-          var currentById = _.keyBy(current, relatedModelClass.getIdProperty());
-          var inputModels = relatedModelClass.ensureModelArray(req.body);
+            return model;
+          });
 
           function isNew(model) {
-            return !model.$id() || !currentById[model.$id()];
+            return !currentById[idKey(model.$id())];
           }
 
           var insertModels = _.filter(inputModels, isNew);
           var updateModels = _.filter(inputModels, _.negate(isNew));
           var deleteModels = _.filter(current, function (model) {
             return !_.find(inputModels, function (inputModel) {
-              // Non-strict equal on purpose.
-              return inputModel.$id() == model.$id();
+              return idKey(inputModel.$id()) === idKey(model.$id());
             });
           });
 
-          var insertAndUpdateQueries = _.flatten([
-            _.map(updateModels, function (update) {
-              return update.$query().patch();
-            }),
-            _.map(insertModels, function (insert) {
-              delete insert[relatedModelClass.getIdProperty()];
-              return model.$relatedQuery(relation.name).insert(insert);
-            })
-          ]);
+          if (idProperties.length === 1) {
+            // New models get generated ids. Composite ids usually consist of
+            // foreign keys and are given by the client.
+            _.each(insertModels, function (insert) {
+              delete insert[idProperties[0]];
+            });
+          }
 
-          return model
-            .$relatedQuery(relation.name)
-            .delete()
-            .whereIn(builder.fullIdColumnFor(relatedModelClass), _.invokeMap(deleteModels, '$id'))
+          var deleteQuery = model.$relatedQuery(relation.name);
+          var authorizations = [];
+
+          // The diff also creates and deletes models which need their own permissions.
+          if (insertModels.length) {
+            authorizations.push(self._authorize(relatedModelClass, req, 'create', model.$relatedQuery(relation.name), relation));
+          }
+
+          if (deleteModels.length) {
+            authorizations.push(self._authorize(relatedModelClass, req, 'delete', deleteQuery, relation));
+          }
+
+          return Promise
+            .all(authorizations)
+            .then(function () {
+              return Promise.all([
+                self._runHook('beforeInsert', relatedModelClass, req, insertModels, relation),
+                self._runHook('beforeUpdate', relatedModelClass, req, updateModels, relation),
+                self._runHook('beforeDelete', relatedModelClass, req, deleteModels, relation)
+              ]);
+            })
+            .then(function () {
+              return self
+                ._delete(relatedModelClass, deleteQuery)
+                .whereInComposite(builder.fullIdColumnFor(relatedModelClass), _.invokeMap(deleteModels, '$id'));
+            })
+            .then(function () {
+              return Promise.all(_.flatten([
+                _.map(updateModels, function (update) {
+                  return update.$query().patch();
+                }),
+                _.map(insertModels, function (insert) {
+                  return model.$relatedQuery(relation.name).insert(insert);
+                })
+              ]));
+            })
             .then(function () {
-              return Promise.all(insertAndUpdateQueries);
+              return Promise.all([
+                self._runHook('afterInsert', relatedModelClass, req, insertModels, relation),
+                self._runHook('afterUpdate', relatedModelClass, req, updateModels, relation),
+                self._runHook('afterDelete', relatedModelClass, req, deleteModels, relation)
+              ]);
             });
         })
         .then(function () {
           return model.$relatedQuery(relation.name);
+        })
+        .then(function (models) {
+          // The operation of each model is derived from the models before and after the diff.
+          return self._audit(req, relatedModelClass, {before: before, after: models, relation: relation, owner: model}, models);
         });
     });
   });
@@ -471,22 +1280,34 @@ RestApiGenerator.prototype._generateRelationDeleteAll = function (app, relation)
   var route = this._routeForRelation(relation);
 
   this._logRoute('DELETE', route, 2);
-  this._adapter(app, 'DELETE', route, function (req) {
+  this._registerRoute(app, 'DELETE', route, function (req) {
     var modelClass = self._bindModelClass(relation.ownerModelClass, req);
+    var relatedModelClass = self._bindModelClass(relation.relatedModelClass, req);
 
-    return self._objection.transaction(modelClass, function (modelClass) {
-      var builder = modelClass.query();
-      return builder
-        .where(builder.fullIdColumnFor(modelClass), req.params.id)
-        .first()
+    return self._objection.transaction(modelClass, relatedModelClass, function (modelClass, relatedModelClass) {
+      return self._findOwner(modelClass, req)
         .then(function (model) {
-          if (!model) {
-            throw error(404);
-          }
-          return model.$relatedQuery(relation.name).delete();
+          var query = model.$relatedQuery(relation.name);
+
+          return self._authorize(relatedModelClass, req, 'delete', query, relation)
+            .then(function () {
+              return query.clone();
+            })
+            .then(function (models) {
+              return self._runHook('beforeDelete', relatedModelClass, req, models, relation);
+            })
+            .then(function (models) {
+              return self._delete(relatedModelClass, query).return(models);
+            })
+            .then(function (models) {
+              return self._audit(req, relatedModelClass, {operation: 'delete', before: models, relation: relation, owner: model}, models);
+            })
+            .then(function (models) {
+              return self._runHook('afterDelete', relatedModelClass, req, models, relation);
+            });
         })
         .then(function () {
-          return {};
+          return new HttpResult(204);
         });
     });
   });
@@ -497,49 +1318,1202 @@ RestApiGenerator.prototype._generateRelationRelate = function (app, relation) {
   var route = this._routeForRelation(relation) + '/:relatedId';
 
   this._logRoute('POST', route, 2);
-  this._adapter(app, 'POST', route, function (req) {
+  this._registerRoute(app, 'POST', route, function (req) {
     var modelClass = self._bindModelClass(relation.ownerModelClass, req);
     var relatedModelClass = self._bindModelClass(relation.relatedModelClass, req);
+    var model;
 
     return self._objection.transaction(modelClass, relatedModelClass, function (modelClass, relatedModelClass) {
-      var builder = modelClass.query();
-      return builder
-        .where(builder.fullIdColumnFor(modelClass), req.params.id)
-        .first()
-        .then(function (model) {
-          if (!model) { throw error(404); }
+      var builder = relatedModelClass.query();
+
+      return self._findOwner(modelClass, req)
+        .then(function ($model) {
+          model = $model;
+          return self._authorize(relatedModelClass, req, 'relate', builder, relation);
+        })
+        .then(function () {
+          return builder
+            .whereComposite(builder.fullIdColumnFor(relatedModelClass), self._routeId(relatedModelClass, req.params.relatedId))
+            .first();
+        })
+        .then(function (related) {
+          if (!related) { throw error(404); }
+          return self._runHook('beforeRelate', relatedModelClass, req, [related], relation);
+        })
+        .then(function (models) {
           return model
             .$relatedQuery(relation.name)
-            .relate(req.params.relatedId);
+            .relate(models[0].$id());
         })
         .then(function () {
-          return relatedModelClass
-            .where(builder.fullIdColumnFor(relation.relatedModelClass), req.params.relatedId)
+          var builder = relatedModelClass.query();
+
+          return builder
+            .whereComposite(builder.fullIdColumnFor(relatedModelClass), self._routeId(relatedModelClass, req.params.relatedId))
             .allowEager(self._findQueries[relation.relatedModelClass.tableName].allowEager())
-            .eager(req.params.eager)
+            .eager(req.query.eager)
+            .first();
+        })
+        .then(function (related) {
+          return self._audit(req, relatedModelClass, {operation: 'relate', after: [related], relation: relation, owner: model}, [related]);
+        })
+        .then(function (models) {
+          return self._runHook('afterRelate', relatedModelClass, req, models, relation);
+        })
+        .then(_.first);
+    });
+  });
+};
+
+RestApiGenerator.prototype._generateRelationUnrelate = function (app, relation) {
+  var self = this;
+  var route = this._routeForRelation(relation) + '/:relatedId';
+
+  this._logRoute('DELETE', route, 2);
+  this._registerRoute(app, 'DELETE', route, function (req) {
+    var modelClass = self._bindModelClass(relation.ownerModelClass, req);
+    var relatedModelClass = self._bindModelClass(relation.relatedModelClass, req);
+    var model;
+
+    return self._objection.transaction(modelClass, relatedModelClass, function (modelClass, relatedModelClass) {
+      var relatedId = self._routeId(relatedModelClass, req.params.relatedId);
+      var query;
+
+      return self._findOwner(modelClass, req)
+        .then(function ($model) {
+          model = $model;
+          query = model.$relatedQuery(relation.name);
+          return self._authorize(relatedModelClass, req, 'unrelate', query, relation);
+        })
+        .then(function () {
+          return query
+            .whereComposite(query.fullIdColumnFor(relatedModelClass), relatedId)
             .first();
+        })
+        .then(function (related) {
+          // Only models that are related to the owner can be unrelated.
+          if (!related) { throw error(404); }
+          return self._runHook('beforeUnrelate', relatedModelClass, req, [related], relation);
+        })
+        .then(function (models) {
+          var unrelateQuery = model.$relatedQuery(relation.name).unrelate();
+
+          // A belongs to one relation is unrelated by updating the owner so
+          // the related id must not be added to the query.
+          if (!(relation instanceof modelClass.BelongsToOneRelation)) {
+            unrelateQuery.whereComposite(unrelateQuery.fullIdColumnFor(relatedModelClass), relatedId);
+          }
+
+          return unrelateQuery.return(models);
+        })
+        .then(function (models) {
+          return self._audit(req, relatedModelClass, {operation: 'unrelate', before: models, relation: relation, owner: model}, models);
+        })
+        .then(function (models) {
+          return self._runHook('afterUnrelate', relatedModelClass, req, models, relation);
         });
+    }).then(function () {
+      return new HttpResult(204);
     });
   });
 };
 
-RestApiGenerator.prototype._logRoute = function (method, route, indent) {
-  var ind = _.times(indent || 0, _.constant('  ')).join('');
-  this._logger(ind + colors.magenta(method) + ' ' + colors.white(route));
+/**
+ * Executes a list of operations targeting the other generated routes in one transaction.
+ * Operations can reference the results of earlier operations. See `batch.resolveReferences`.
+ */
+RestApiGenerator.prototype._generateBatch = function (app) {
+  var self = this;
+  var route = this._batchRoute();
+
+  this._logRoute('POST', route, 0);
+  this._registerRoute(app, 'POST', route, function (req) {
+    var operations = batch.parseOperations(req.body);
+    var results = {};
+
+    return self._knex(req).transaction(function (trx) {
+      return Promise.mapSeries(operations, function (operation, index) {
+        return Promise.try(function () {
+          return self._executeOperation(req, trx, operation, results);
+        }).then(function (result) {
+          if (!(result instanceof HttpResult)) {
+            result = new HttpResult(200, result);
+          }
+
+          results[index] = result.body;
+
+          if (operation.ref) {
+            results[operation.ref] = result.body;
+          }
+
+          return {status: result.statusCode, headers: result.headers, body: result.body};
+        }).catch(function (err) {
+          var httpError = bulk.itemError(errors.toHttpError(err, self._objection), index);
+          httpError.message = 'Operation ' + index + ' failed: ' + httpError.message;
+          throw httpError;
+        });
+      });
+    });
+  });
 };
 
-RestApiGenerator.prototype._bindModelClass = function (modelClass, req) {
-  if (this._databaseGetter) {
-    return modelClass.bindKnex(this._databaseGetter(req));
-  } else {
-    return modelClass;
+/**
+ * Finds the route of a batch operation and calls it with the user, headers and locals
+ * of the batch request. See `batch.headers` for the headers.
+ */
+RestApiGenerator.prototype._executeOperation = function (req, trx, operation, results) {
+  var batchRoute = this._batchRoute();
+  var parsedUrl = url.parse(batch.resolveReferences(operation.path, results, true));
+  var params = null;
+
+  var handler = _.find(this._handlers, function (handler) {
+    params = handler.method === operation.method && handler.route !== batchRoute && handler.match(parsedUrl.pathname);
+    return !!params;
+  });
+
+  if (!handler) {
+    throw error(404, 'No route for ' + operation.method + ' ' + parsedUrl.pathname);
+  }
+
+  return handler.callback(new RequestContext({
+    method: operation.method,
+    path: parsedUrl.pathname,
+    params: params,
+    query: _.assign(querystring.parse(parsedUrl.query), batch.resolveReferences(operation.query, results)),
+    body: batch.resolveReferences(operation.body, results),
+    headers: batch.headers(req.headers, batch.resolveReferences(operation.headers, results)),
+    user: req.user,
+    locals: req.locals,
+    transaction: trx
+  }));
+};
+
+/**
+ * Fetches the model of the `:id` route parameter and compares the `If-Match` header of
+ * a request with its ETag. Rejects with 404 if the model doesn't exist and with 412 if
+ * the ETag doesn't match. Otherwise resolves to the current model.
+ *
+ * The model is fetched before anything is written so that a missing model is responded
+ * with 404 without running the hooks or the write query.
+ */
+RestApiGenerator.prototype._checkIfMatch = function (modelClass, req, builder) {
+  var self = this;
+  var options = this._modelOptions(modelClass);
+  var ifMatch = req.header('if-match');
+
+  return builder
+    .clone()
+    .whereComposite(builder.fullIdColumnFor(modelClass), this._routeId(modelClass, req.params.id))
+    .first()
+    .then(function (current) {
+      if (!current) { throw error(404); }
+
+      if (ifMatch && !etags.matches(ifMatch, etags.compute(current, options, false), false)) {
+        throw self._preconditionFailed();
+      }
+
+      return current;
+    });
+};
+
+/**
+ * Increments a numeric `versionColumn` of `model` from the `current` model.
+ */
+RestApiGenerator.prototype._nextVersion = function (modelClass, model, current) {
+  var versionColumn = this._modelOptions(modelClass).versionColumn;
+
+  if (versionColumn && current) {
+    var versionProperty = modelClass.columnNameToPropertyName(versionColumn);
+
+    if (_.isNumber(current[versionProperty])) {
+      model[versionProperty] = current[versionProperty] + 1;
+    }
+  }
+};
+
+/**
+ * Increments the `versionColumn` of `model` and makes the update query `builder` only
+ * update the row if nobody else has changed the version in the meantime.
+ */
+RestApiGenerator.prototype._whereVersion = function (modelClass, builder, model, current) {
+  var versionColumn = this._modelOptions(modelClass).versionColumn;
+
+  if (versionColumn && current) {
+    this._nextVersion(modelClass, model, current);
+    builder.where(modelClass.tableName + '.' + versionColumn, current[modelClass.columnNameToPropertyName(versionColumn)]);
   }
+
+  return builder;
 };
 
-function error(statusCode) {
-  var err = new Error();
-  err.statusCode = statusCode;
-  return err;
+RestApiGenerator.prototype._preconditionFailed = function () {
+  return new HttpError(412, 'PreconditionFailed', 'The resource has been modified');
+};
+
+/**
+ * The error of an update that changed no rows even though the model existed when
+ * `_checkIfMatch` fetched it. Someone else has changed the version or deleted the model.
+ */
+RestApiGenerator.prototype._notUpdated = function (modelClass) {
+  return this._modelOptions(modelClass).versionColumn ? this._preconditionFailed() : error(404);
+};
+
+/**
+ * Returns a 201 `HttpResult` for a created model. The `Location` header points to the
+ * `GET /:id` route of the model if there is one.
+ */
+RestApiGenerator.prototype._created = function (model) {
+  var location = this._modelUrl(model);
+  return new HttpResult(201, model, location ? {Location: location} : null);
+};
+
+/**
+ * Returns the path of the `GET /:id` route of a model or null if there is no such route.
+ */
+RestApiGenerator.prototype._modelUrl = function (model) {
+  var modelClass = model.constructor;
+  var route = this._routeForModel(modelClass) + '/:id';
+
+  if (!this._models[modelClass.tableName] || this._isExcluded('GET', route)) {
+    return null;
+  }
+
+  return route.replace(':id', formatRouteId(model));
+};
+
+/**
+ * Returns the path of the `GET` route of a model's relation or null if there is no such route.
+ */
+RestApiGenerator.prototype._relationUrl = function (model, relation) {
+  var route = this._routeForRelation(relation);
+
+  if (!this._models[model.constructor.tableName] || this._isExcluded('GET', route)) {
+    return null;
+  }
+
+  return route.replace(':id', formatRouteId(model));
+};
+
+/**
+ * Returns an `HttpResult` that has the `ETag` header or the model as is if there is no ETag.
+ */
+RestApiGenerator.prototype._withEtag = function (model, etag) {
+  if (etag) {
+    return new HttpResult(200, model, {ETag: etag});
+  } else {
+    return model;
+  }
+};
+
+/**
+ * Patches each model of an array body by the ids the items carry. The response has
+ * the patched models and the ids that were not found.
+ */
+RestApiGenerator.prototype._bulkPatch = function (modelClass, req) {
+  var self = this;
+
+  return this._objection.transaction(modelClass, function (modelClass) {
+    var builder = modelClass.query();
+    var idProperties = modelClass.getIdPropertyArray();
+    var ids;
+    var before;
+
+    return self._authorize(modelClass, req, 'update', builder)
+      .then(function () {
+        ids = _.map(req.body, function (json, index) {
+          return self._bulkItem(index, function () {
+            var id = _.map(idProperties, function (prop) {
+              return _.isPlainObject(json) ? json[prop] : null;
+            });
+
+            if (_.some(id, _.isNil)) {
+              throw new HttpError(422, 'MissingId', 'Items of a bulk update must have an id',
+                _.zipObject(idProperties, _.map(idProperties, function () {
+                  return [{message: 'is required', keyword: 'required'}];
+                })));
+            }
+
+            return id.length === 1 ? id[0] : id;
+          });
+        });
+
+        var models = _.map(req.body, function (json, index) {
+          return self._bulkItem(index, function () {
+            var model = modelClass.fromJson(self._writableBody(modelClass, 'update', _.omit(json, idProperties)), {patch: true});
+            model.$id(ids[index]);
+            return model;
+          });
+        });
+
+        return self._auditBefore(builder.clone().whereInComposite(builder.fullIdColumnFor(modelClass), ids)).then(function ($before) {
+          before = $before;
+          return self._runHook('beforeUpdate', modelClass, req, models);
+        });
+      })
+      .then(function (models) {
+        return Promise.mapSeries(models, function (model, index) {
+          return builder
+            .clone()
+            .patch(model)
+            .whereComposite(builder.fullIdColumnFor(modelClass), ids[index]);
+        });
+      })
+      .then(function (numUpdated) {
+        var updatedIds = _.filter(ids, function (id, index) {
+          return numUpdated[index] > 0;
+        });
+
+        return self
+          ._eager(modelClass.query(), modelClass, req)
+          .whereInComposite(builder.fullIdColumnFor(modelClass), updatedIds);
+      })
+      .then(function (models) {
+        return self._audit(req, modelClass, {operation: 'patch', before: before, after: models}, models);
+      })
+      .then(function (models) {
+        return self._runHook('afterUpdate', modelClass, req, models);
+      })
+      .then(function (models) {
+        return {
+          total: models.length,
+          results: models,
+          notFound: bulk.notFoundIds(ids, models)
+        };
+      });
+  });
+};
+
+/**
+ * Deletes the models of the `ids` query parameter. The response has the deleted
+ * models and the ids that were not found.
+ */
+RestApiGenerator.prototype._bulkDelete = function (modelClass, req, ids) {
+  var self = this;
+
+  return this._objection.transaction(modelClass, function (modelClass) {
+    var builder = modelClass.query();
+
+    return self._authorize(modelClass, req, 'delete', builder)
+      .then(function () {
+        var idColumn = builder.fullIdColumnFor(modelClass);
+
+        builder.whereInComposite(idColumn, _.map(ids, function (id) {
+          return utils.parseId(modelClass, id);
+        }));
+
+        return builder.clone();
+      })
+      .then(function (models) {
+        return self._runHook('beforeDelete', modelClass, req, models);
+      })
+      .then(function (models) {
+        return self._delete(modelClass, builder).return(models);
+      })
+      .then(function (models) {
+        return self._audit(req, modelClass, {operation: 'delete', before: models}, models);
+      })
+      .then(function (models) {
+        return self._runHook('afterDelete', modelClass, req, models);
+      })
+      .then(function (models) {
+        return {
+          total: models.length,
+          results: models,
+          notFound: bulk.notFoundIds(ids, models)
+        };
+      });
+  });
+};
+
+/**
+ * Runs `fn` that converts the `index`th item of a bulk request body. Errors thrown
+ * by `fn` get the index in their field names. `index` is null for non-bulk requests.
+ */
+RestApiGenerator.prototype._bulkItem = function (index, fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (index === null) {
+      throw err;
+    }
+
+    throw bulk.itemError(errors.toHttpError(err, this._objection), index);
+  }
+};
+
+/**
+ * Upserts a graph whose root model has the given id. `builder` is the authorized query of
+ * the root model. Resolves to the number of updated root models like an `update` query.
+ *
+ * objection's `upsertGraph` is not used because it neither authorizes nor runs the hooks of
+ * the related models and always hard deletes the related models that the graph removes.
+ * Here the graph is compared with the one in the database and every related model class
+ * authorizes and hooks its own inserts, updates and deletes like the relation routes do.
+ * Deletes from soft delete models are patches.
+ */
+RestApiGenerator.prototype._upsertGraph = function (req, builder, id, model, allowUpsert) {
+  var self = this;
+  var modelClass = builder.modelClass();
+  var idColumn = builder.fullIdColumnFor(modelClass);
+  var trx = modelClass.knex();
+  var RelationExpression = this._objection.RelationExpression;
+  var expression = RelationExpression.fromGraph(model);
+
+  if (!RelationExpression.parse(allowUpsert).isSubExpression(expression)) {
+    throw modelClass.createValidationError({allowedRelations: 'trying to upsert an unallowed relation'});
+  }
+
+  builder.whereComposite(idColumn, id).eager(expression);
+  softDelete.excludeFromEager(builder, modelClass, expression, req, this._modelOptions.bind(this));
+
+  return builder
+    .first()
+    .then(function (current) {
+      if (!current) {
+        return 0;
+      }
+
+      // The id in the path wins over the one in the body.
+      model.$id(current.$id());
+
+      var writes = graph.diff(model, current);
+
+      _.each(writes, function (write) {
+        // Inserted models get new ids like in the relation PUT route.
+        if (!_.isArray(write.relation.relatedModelClass.getIdProperty())) {
+          _.each(write.inserts, function (insert) {
+            delete insert[write.relation.relatedModelClass.getIdProperty()];
+          });
+        }
+      });
+
+      return self
+        ._guardGraphWrites(req, trx, writes)
+        .then(function () {
+          return modelClass.query().patch(model).whereComposite(idColumn, current.$id());
+        })
+        .then(function () {
+          return Promise.mapSeries(writes, function (write) {
+            return self._writeRelation(trx, write);
+          });
+        })
+        .then(function () {
+          return self._runGraphHooks('after', req, trx, writes);
+        })
+        .return(1);
+    });
+};
+
+/**
+ * Authorizes the writes that `graph.diff` returns with the models classes they write and runs
+ * their before hooks. The builders that the delete and update authorizations narrow are
+ * stored in the writes for `_writeRelation`.
+ */
+RestApiGenerator.prototype._guardGraphWrites = function (req, trx, writes) {
+  var self = this;
+
+  return Promise
+    .mapSeries(writes, function (write) {
+      var relatedModelClass = write.relation.relatedModelClass.bindKnex(trx);
+      var name = write.relation.name;
+      var authorizations = [];
+
+      if (write.inserts.length) {
+        authorizations.push(self._authorize(relatedModelClass, req, 'create', relatedModelClass.query(), write.relation));
+      }
+
+      if (write.relates.length) {
+        authorizations.push(self._authorize(relatedModelClass, req, 'relate', relatedModelClass.query(), write.relation));
+      }
+
+      if (write.updates.length) {
+        write.updateQuery = write.owner.$relatedQuery(name, trx);
+        authorizations.push(self._authorize(relatedModelClass, req, 'update', write.updateQuery, write.relation));
+      }
+
+      if (write.deletes.length) {
+        write.deleteQuery = write.owner.$relatedQuery(name, trx);
+        authorizations.push(self._authorize(relatedModelClass, req, 'delete', write.deleteQuery, write.relation));
+      }
+
+      return Promise.all(authorizations);
+    })
+    .then(function () {
+      return self._runGraphHooks('before', req, trx, writes);
+    });
+};
+
+/**
+ * Runs the `before` or `after` hooks of the writes that `graph.diff` returns. Models with a
+ * `#dbRef` are passed to the relate hooks as they are in the graph.
+ */
+RestApiGenerator.prototype._runGraphHooks = function (when, req, trx, writes) {
+  var self = this;
+  var hooks = {inserts: 'Insert', updates: 'Update', deletes: 'Delete', relates: 'Relate'};
+
+  return Promise.mapSeries(writes, function (write) {
+    var relatedModelClass = write.relation.relatedModelClass.bindKnex(trx);
+
+    return Promise.mapSeries(_.keys(hooks), function (key) {
+      if (write[key].length) {
+        return self._runHook(when + hooks[key], relatedModelClass, req, write[key], write.relation);
+      }
+    });
+  });
+};
+
+/**
+ * Writes a relation of an upserted graph with the builders that `_guardGraphWrites` authorized.
+ */
+RestApiGenerator.prototype._writeRelation = function (trx, write) {
+  var self = this;
+  var relatedModelClass = write.relation.relatedModelClass.bindKnex(trx);
+  var idColumn = relatedModelClass.query().fullIdColumnFor(relatedModelClass);
+  var name = write.relation.name;
+
+  return Promise
+    .try(function () {
+      if (write.deletes.length) {
+        return self
+          ._delete(relatedModelClass, write.deleteQuery)
+          .whereInComposite(idColumn, _.invokeMap(write.deletes, '$id'));
+      }
+    })
+    .then(function () {
+      return Promise.mapSeries(write.updates, function (update) {
+        return write.updateQuery.clone().patch(update).whereComposite(idColumn, update.$id());
+      });
+    })
+    .then(function () {
+      return Promise.mapSeries(write.inserts, function (insert) {
+        return write.owner.$relatedQuery(name, trx).insert(insert).then(function (inserted) {
+          // The inserted model may be a copy when the graph model is of the unbound class.
+          insert.$id(inserted.$id());
+        });
+      });
+    })
+    .then(function () {
+      return Promise.mapSeries(write.relates, function (relate) {
+        return write.owner.$relatedQuery(name, trx).relate(relate['#dbRef']);
+      });
+    });
+};
+
+/**
+ * Parses an id route parameter. Rejects with 404 if it is not a valid id of the model.
+ */
+RestApiGenerator.prototype._routeId = function (modelClass, idParam) {
+  var id = utils.parseId(modelClass, idParam);
+
+  if (id === null) {
+    throw error(404);
+  }
+
+  return id;
+};
+
+/**
+ * Fetches the owner model of a relation route and checks that it can be read.
+ *
+ * Rejects with 404 if the model doesn't exist or the `authorize` hook has
+ * narrowed it out of the query.
+ */
+RestApiGenerator.prototype._findOwner = function (modelClass, req) {
+  var self = this;
+  var builder = modelClass.query();
+
+  return this._authorize(modelClass, req, 'read', builder)
+    .then(function () {
+      return builder
+        .whereComposite(builder.fullIdColumnFor(modelClass), self._routeId(modelClass, req.params.id))
+        .first();
+    })
+    .then(function (model) {
+      if (!model) { throw error(404); }
+      return model;
+    });
+};
+
+/**
+ * Builds a collection query using objection-find and the pagination
+ * options of the model.
+ */
+RestApiGenerator.prototype._findAll = function (modelClass, query, builder) {
+  var options = this._modelOptions(modelClass);
+  var findQuery = this._findQueries[modelClass.tableName];
+
+  this._selectFields(builder, modelClass, query);
+  this._search(modelClass, query, builder, !options.cursorPagination);
+  query = search.omit(softDelete.omit(sparseFieldsets.omit(query)));
+  this._checkFindFields(modelClass, _.omit(query, cursorPagination.CURSOR_PARAMETER, cursorPagination.LIMIT_PARAMETER));
+
+  if (options.cursorPagination) {
+    return cursorPagination.cursorPage({
+      modelClass: modelClass,
+      findQuery: findQuery,
+      query: query,
+      builder: builder,
+      options: options
+    });
+  } else {
+    return findQuery.build(this._pageQuery(modelClass, query), builder);
+  }
+};
+
+/**
+ * Fetches the model of the `:id` route parameter for `GET` and `HEAD`. Responds with
+ * 304 if the `If-None-Match` header matches the ETag of the model.
+ */
+RestApiGenerator.prototype._find = function ($modelClass, req) {
+  var self = this;
+  var modelClass = this._bindModelClass($modelClass, req);
+  var builder = modelClass.query();
+
+  return this._authorize(modelClass, req, 'read', builder)
+    .then(function () {
+      return self._selectFields(builder, modelClass, req.query)
+        .allowEager(self._findQueries[modelClass.tableName].allowEager())
+        .eager(req.query.eager)
+        .whereComposite(builder.fullIdColumnFor(modelClass), self._routeId(modelClass, req.params.id))
+        .first();
+    })
+    .then(function (model) {
+      if (!model) { throw error(404); }
+
+      var etag = etags.compute(model, self._modelOptions(modelClass), !!sparseFieldsets.parse(req.query));
+      var ifNoneMatch = req.header('if-none-match');
+
+      if (etag && ifNoneMatch && etags.matches(ifNoneMatch, etag, true)) {
+        return new HttpResult(304, undefined, {ETag: etag});
+      }
+
+      return self._withEtag(model, etag);
+    });
+};
+
+/**
+ * Counts the models of a collection query.
+ */
+RestApiGenerator.prototype._count = function (modelClass, query, builder) {
+  this._search(modelClass, query, builder, false);
+  return this._findQueries[modelClass.tableName].build(this._filterQuery(modelClass, query), builder).resultSize();
+};
+
+/**
+ * Computes the aggregates of the `aggregate` and `groupBy` query parameters over the
+ * models of a collection query. See `aggregates.parse`.
+ */
+RestApiGenerator.prototype._aggregate = function (modelClass, query, builder) {
+  var parsed = aggregates.parse(modelClass, query, this._modelOptions(modelClass));
+
+  this._search(modelClass, query, builder, false);
+  this._findQueries[modelClass.tableName].build(this._filterQuery(modelClass, aggregates.omit(query)), builder);
+  return aggregates.select(builder, parsed);
+};
+
+/**
+ * Returns only the filters of a collection query. Paging, ordering and eager loading
+ * don't change counts or aggregates.
+ */
+RestApiGenerator.prototype._filterQuery = function (modelClass, query) {
+  var findQuery = this._findQueries[modelClass.tableName];
+
+  var ignoredParameters = _.map(['eager', 'orderBy', 'orderByAsc', 'orderByDesc', 'rangeStart', 'rangeEnd'], function (name) {
+    return utils.specialParameterName(findQuery, name);
+  });
+
+  ignoredParameters.push(cursorPagination.CURSOR_PARAMETER, cursorPagination.LIMIT_PARAMETER);
+  return this._checkFindFields(modelClass, _.omit(search.omit(softDelete.omit(sparseFieldsets.omit(query))), ignoredParameters));
+};
+
+/**
+ * Rejects objection-find filters and ordering that reference fields the model doesn't
+ * return. See `findFields.check`.
+ */
+RestApiGenerator.prototype._checkFindFields = function (modelClass, query) {
+  return findFields.check(this._findQueries[modelClass.tableName], modelClass, query, this._modelOptions.bind(this));
+};
+
+/**
+ * Applies the `q` full-text search parameter of a collection query using the `search`
+ * option of the model. With `rank` the results are ordered by relevance unless the
+ * query has objection-find ordering parameters.
+ */
+RestApiGenerator.prototype._search = function (modelClass, query, builder, rank) {
+  var findQuery = this._findQueries[modelClass.tableName];
+
+  var ordered = _.some(['orderBy', 'orderByAsc', 'orderByDesc'], function (name) {
+    return _.has(query, utils.specialParameterName(findQuery, name));
+  });
+
+  return search.apply(builder, modelClass, search.options(this._modelOptions(modelClass)), query, rank && !ordered);
+};
+
+/**
+ * Applies the `defaultPageSize` and `maxPageSize` options of a model to the
+ * objection-find range parameters of a collection query.
+ *
+ * If the model has either option, the results are always paged and the response
+ * is `{total, results}`. `defaultPageSize` defaults to `maxPageSize`.
+ */
+RestApiGenerator.prototype._pageQuery = function (modelClass, query) {
+  var options = this._modelOptions(modelClass);
+  var pageSize = options.defaultPageSize || options.maxPageSize;
+
+  if (!pageSize) {
+    return query;
+  }
+
+  var findQuery = this._findQueries[modelClass.tableName];
+  var rangeStartName = utils.specialParameterName(findQuery, 'rangeStart');
+  var rangeEndName = utils.specialParameterName(findQuery, 'rangeEnd');
+  var rangeStart = _.has(query, rangeStartName) ? parseInt(query[rangeStartName], 10) : 0;
+  var rangeEnd = _.has(query, rangeEndName) ? parseInt(query[rangeEndName], 10) : rangeStart + pageSize - 1;
+
+  if (_.isNaN(rangeStart) || _.isNaN(rangeEnd)) {
+    // Let objection-find produce the error.
+    return query;
+  }
+
+  // Negative and inverted ranges would turn into a negative limit that returns every row.
+  if (rangeStart < 0 || rangeEnd < rangeStart) {
+    throw error(400, 'Invalid range ' + rangeStart + '-' + rangeEnd);
+  }
+
+  if (options.maxPageSize && rangeEnd - rangeStart + 1 > options.maxPageSize) {
+    rangeEnd = rangeStart + options.maxPageSize - 1;
+  }
+
+  query = _.clone(query);
+  query[rangeStartName] = rangeStart;
+  query[rangeEndName] = rangeEnd;
+
+  return query;
+};
+
+/**
+ * Runs the `authorize` hook given to `addModel` for an operation.
+ *
+ * The hook can narrow down `builder` before it is executed. Returning `false` rejects
+ * the operation with 401 if the request is not authenticated and with 403 otherwise.
+ * The hook can also throw or reject with an error that has a `statusCode`.
+ */
+RestApiGenerator.prototype._authorize = function (modelClass, req, operation, builder, relation) {
+  var self = this;
+  var authorize = this._modelOptions(modelClass).authorize;
+
+  return Promise.try(function () {
+    if (operation !== 'create') {
+      // Soft deleted models are hidden from all operations but restore.
+      self._excludeDeleted(modelClass, req, builder, operation !== 'restore');
+    }
+
+    if (!authorize) {
+      return true;
+    }
+
+    var result = authorize(req, operation, builder, relation || null);
+    // The hook may return the builder for chaining. Resolving it here
+    // would execute the query.
+    return result === builder ? true : result;
+  }).then(function (result) {
+    if (result === false) {
+      throw error(req.user ? 403 : 401);
+    }
+  });
+};
+
+/**
+ * Hides the soft deleted models from `builder` and from the relations of the `eager`
+ * query parameter unless the request has `withDeleted=true`.
+ */
+RestApiGenerator.prototype._excludeDeleted = function (modelClass, req, builder, excludeModelClass) {
+  var options = softDelete.options(this._modelOptions(modelClass));
+  var expression;
+
+  if (excludeModelClass && options && !softDelete.withDeleted(options, req)) {
+    softDelete.exclude(builder, modelClass, options);
+  }
+
+  try {
+    expression = this._objection.RelationExpression.parse(req.query[utils.specialParameterName(this._findQueries[modelClass.tableName], 'eager')]);
+  } catch (err) {
+    // Let objection produce the error when the expression is used.
+    return builder;
+  }
+
+  return softDelete.excludeFromEager(builder, modelClass, expression, req, this._modelOptions.bind(this));
+};
+
+/**
+ * Applies the `eager` query parameter to a query that fetches the result of a write
+ * operation. Soft deleted models are hidden from the relations.
+ */
+RestApiGenerator.prototype._eager = function (builder, modelClass, req) {
+  builder
+    .allowEager(this._findQueries[modelClass.tableName].allowEager())
+    .eager(req.query.eager);
+
+  return this._excludeDeleted(modelClass, req, builder, false);
+};
+
+/**
+ * Deletes the rows of `builder`. In soft delete mode the `deletedAt` column of
+ * the rows is set instead.
+ */
+RestApiGenerator.prototype._delete = function (modelClass, builder) {
+  var options = softDelete.options(this._modelOptions(modelClass));
+
+  if (!options) {
+    return builder.delete();
+  }
+
+  var patch = {};
+  patch[modelClass.columnNameToPropertyName(options.column)] = modelClass.knex().fn.now();
+
+  return builder.patch(patch);
+};
+
+/**
+ * Runs a lifecycle hook given to `addModel` and resolves to `models`.
+ *
+ * Hooks are called inside the transaction of the operation with the transaction
+ * bound model class. They can modify the models and abort the operation by
+ * throwing or rejecting.
+ */
+RestApiGenerator.prototype._runHook = function (hookName, modelClass, req, models, relation) {
+  var hook = this._modelOptions(modelClass)[hookName];
+
+  if (!hook) {
+    return Promise.resolve(models);
+  }
+
+  return Promise.try(function () {
+    return hook(req, modelClass, models, relation || null);
+  }).return(models);
+};
+
+/**
+ * Passes the audit log entries of a mutation to the audit sink inside the transaction
+ * of the mutation. `opt` are the options of `audit.entries`. Resolves to `result`.
+ */
+RestApiGenerator.prototype._audit = function (req, modelClass, opt, result) {
+  var auditSink = this._auditSink;
+
+  if (!auditSink) {
+    return Promise.resolve(result);
+  }
+
+  var entries = audit.entries(_.assign({req: req, modelClass: modelClass}, opt));
+
+  return Promise.try(function () {
+    return entries.length ? auditSink(entries, modelClass.knex()) : null;
+  }).return(result);
+};
+
+/**
+ * Like `_audit` for the graph writes of `allowInsert` and `allowUpsert`. The `after` models
+ * are refetched with the relations of `expression` and each model of the `before` and
+ * `after` graphs gets an entry. See `audit.graphEntries`.
+ */
+RestApiGenerator.prototype._auditGraph = function (req, modelClass, expression, opt, result) {
+  var auditSink = this._auditSink;
+
+  if (!auditSink) {
+    return Promise.resolve(result);
+  }
+
+  var builder = modelClass.query();
+
+  return builder
+    .eager(expression)
+    .whereInComposite(builder.fullIdColumnFor(modelClass), _.invokeMap(opt.after, '$id'))
+    .then(function (after) {
+      var entries = audit.graphEntries(_.assign({req: req, modelClass: modelClass}, opt, {after: after}));
+      return entries.length ? auditSink(entries, modelClass.knex()) : null;
+    })
+    .return(result);
+};
+
+/**
+ * Fetches the models a mutation query is about to change if there is an audit sink.
+ * Resolves to null otherwise.
+ */
+RestApiGenerator.prototype._auditBefore = function (builder) {
+  if (!this._auditSink) {
+    return Promise.resolve(null);
+  }
+
+  return Promise.resolve(builder.clone());
+};
+
+/**
+ * Removes the `readOnlyFields` of a model from a request body and checks that the
+ * rest of the fields are `writableFields` of the `create` or `update` operation.
+ *
+ * Rejects with 422 if the body has fields that are not writable.
+ */
+RestApiGenerator.prototype._writableBody = function (modelClass, operation, body) {
+  var options = this._modelOptions(modelClass);
+  var writableFields = options.writableFields;
+
+  if (!_.isPlainObject(body)) {
+    // Let objection produce the error.
+    return body;
+  }
+
+  if (_.isPlainObject(writableFields)) {
+    writableFields = writableFields[operation];
+  }
+
+  body = _.omit(body, options.readOnlyFields);
+
+  if (writableFields) {
+    var invalidFields = _.difference(_.keys(body), writableFields);
+
+    if (invalidFields.length) {
+      throw new HttpError(422, 'FieldNotWritable', 'Request body has fields that are not writable',
+        _.zipObject(invalidFields, _.map(invalidFields, function () {
+          return [{message: 'is not writable', keyword: 'writable'}];
+        })));
+    }
+  }
+
+  return body;
+};
+
+/**
+ * Validates the sparse fieldsets of a query and selects only the requested columns.
+ */
+RestApiGenerator.prototype._selectFields = function (builder, modelClass, query) {
+  return sparseFieldsets.select(builder, modelClass, query, this._modelOptions.bind(this));
+};
+
+/**
+ * Applies `_writableBody` to each model of a graph using the options of each model's class.
+ *
+ * The relation properties and the special `#id`, `#ref` and `#dbRef` properties of
+ * `insertGraph` are always accepted. In upsert graphs the ids are accepted too because
+ * they identify the models to update. Models that have an id are checked against the
+ * `update` fields and the others against the `create` fields.
+ */
+RestApiGenerator.prototype._writableGraph = function (modelClass, operation, json, upsert) {
+  var self = this;
+
+  if (!_.isPlainObject(json)) {
+    return json;
+  }
+
+  var relations = modelClass.getRelations();
+  var idProperties = upsert ? modelClass.getIdPropertyArray() : [];
+
+  var graphProperties = _.filter(_.keys(json), function (key) {
+    return relations[key] || key.charAt(0) === '#' || _.includes(idProperties, key);
+  });
+
+  var result = this._writableBody(modelClass, operation, _.omit(json, graphProperties));
+
+  _.each(graphProperties, function (key) {
+    var relation = relations[key];
+
+    if (!relation) {
+      result[key] = json[key];
+      return;
+    }
+
+    result[key] = _.map(_.castArray(json[key]), function (relatedJson) {
+      var relatedIdProperties = relation.relatedModelClass.getIdPropertyArray();
+      var hasId = _.every(relatedIdProperties, function (idProperty) {
+        return !_.isNil(relatedJson && relatedJson[idProperty]);
+      });
+
+      return self._writableGraph(relation.relatedModelClass, upsert && hasId ? 'update' : 'create', relatedJson, upsert);
+    });
+
+    if (!_.isArray(json[key])) {
+      result[key] = result[key][0];
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Returns the JSON of a model without its relations leaving out the fields that are
+ * not `readableFields` or are `hiddenFields` of the model.
+ *
+ * `fields` are the parsed sparse fieldsets of the request and `path` the relation path
+ * of the model in them.
+ */
+RestApiGenerator.prototype._attributes = function (model, fields, path) {
+  var options = this._modelOptions(model.constructor);
+  var json = _.omit(model.toJSON(), _.keys(model.constructor.getRelations()));
+
+  if (options.readableFields) {
+    json = _.pick(json, options.readableFields);
+  }
+
+  if (fields && fields[path]) {
+    json = _.pick(json, fields[path]);
+  }
+
+  return _.omit(json, options.hiddenFields);
+};
+
+/**
+ * Creates the `context` argument of the serializer's methods for a request.
+ * See `serializer`.
+ */
+RestApiGenerator.prototype._serializerContext = function (req, route) {
+  var self = this;
+  var fields = sparseFieldsets.parse(req.query);
+  var relation = (route && route.relation) || null;
+
+  return {
+    req: req,
+    operation: route ? route.operation : null,
+    modelClass: relation ? relation.relatedModelClass : ((route && route.modelClass) || null),
+    relation: relation,
+
+    isModel: function (value) {
+      return value instanceof self._objection.Model;
+    },
+
+    attributes: function (model, path) {
+      return self._attributes(model, fields, path || '');
+    },
+
+    type: function (modelClass) {
+      return self._resourceName(modelClass);
+    },
+
+    modelUrl: function (model) {
+      return self._modelUrl(model);
+    },
+
+    relationUrl: function (model, relation) {
+      return self._relationUrl(model, relation);
+    }
+  };
+};
+
+/**
+ * Returns the options given to `addModel` for a model class or one of
+ * its bound subclasses.
+ */
+RestApiGenerator.prototype._modelOptions = function (modelClass) {
+  return this._options[modelClass.tableName] || {};
+};
+
+/**
+ * Registers a route handler using the adapter.
+ *
+ * Handlers always get a `RequestContext` even if the adapter passes a plain object.
+ * Errors are rejected as `HttpError`s whose `data` is the formatted response body.
+ */
+RestApiGenerator.prototype._registerRoute = function (app, method, route, handler) {
+  var self = this;
+  var serializer = this._serializer;
+  var descriptor = _.find(this._generatedRoutes, {method: method, path: route});
+
+  function callback(req) {
+    var context;
+
+    req = RequestContext.from(req);
+    req.route = route;
+
+    return Promise.try(function () {
+      context = self._serializerContext(req, descriptor);
+
+      if (method === 'POST' || method === 'PUT' || method === 'PATCH') {
+        req.body = serializer.deserialize(req.body, context);
+      }
+
+      return handler(req);
+    }).then(function (result) {
+      if (!(result instanceof HttpResult)) {
+        return serializer.serialize(result, context);
+      } else if (result.body === undefined) {
+        return result;
+      } else {
+        return new HttpResult(result.statusCode, serializer.serialize(result.body, context), result.headers);
+      }
+    }).catch(function (err) {
+      throw self._httpError(err, req);
+    });
+  }
+
+  // The batch route gets the bodies of the operations without the content type.
+  function respond(req) {
+    return callback(req).then(function (result) {
+      if (!serializer.contentType || (result instanceof HttpResult && result.body === undefined)) {
+        return result;
+      }
+
+      if (!(result instanceof HttpResult)) {
+        result = new HttpResult(200, result);
+      }
+
+      return new HttpResult(result.statusCode, result.body, _.assign({'Content-Type': serializer.contentType}, result.headers));
+    }).catch(function (err) {
+      if (serializer.contentType) {
+        err.headers = _.assign({'Content-Type': serializer.contentType}, err.headers);
+      }
+
+      throw err;
+    });
+  }
+
+  // The batch route calls the other routes' callbacks directly.
+  this._handlers.push({
+    method: method,
+    route: route,
+    match: utils.compileRoute(route),
+    callback: callback
+  });
+
+  this._adapter(app, method, route, respond);
+};
+
+RestApiGenerator.prototype._httpError = function (err, req) {
+  var httpError = errors.toHttpError(err, this._objection);
+  httpError.data = this._errorFormatter(httpError, req);
+  return httpError;
+};
+
+RestApiGenerator.prototype._logRoute = function (method, route, indent) {
+  var ind = _.times(indent || 0, _.constant('  ')).join('');
+  this._logger(ind + colors.magenta(method) + ' ' + colors.white(route));
+};
+
+/**
+ * Returns the knex instance of a request. All models must use the same database.
+ */
+RestApiGenerator.prototype._knex = function (req) {
+  if (this._databaseGetter) {
+    return this._databaseGetter(req);
+  } else {
+    return _.first(_.values(this._models)).knex();
+  }
+};
+
+RestApiGenerator.prototype._bindModelClass = function (modelClass, req) {
+  if (req.transaction) {
+    return modelClass.bindKnex(req.transaction);
+  } else if (this._databaseGetter) {
+    return modelClass.bindKnex(this._databaseGetter(req));
+  } else {
+    return modelClass;
+  }
+};
+
+/**
+ * Formats the id of a model for a route. The values of composite ids are separated by commas.
+ *
+ * @private
+ */
+function formatRouteId(model) {
+  return _.map(_.castArray(model.$id()), encodeURIComponent).join(',');
 }
 
 module.exports = RestApiGenerator;
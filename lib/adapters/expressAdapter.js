@@ -1,17 +1,41 @@
 'use strict';
 
 var Promise = require('bluebird');
+var HttpResult = require('../HttpResult');
+var RequestContext = require('../RequestContext');
 
 module.exports = function expressAdapter(app, method, route, callback) {
   // Express app has a routing method for each HTTP verb. Call the correct
   // routing method and pass the route as a parameter.
   app[method.toLowerCase()](route, function (req, res, next) {
     Promise.try(function () {
-      // objection-rest only needs the `params`, `query` and `body` attributes of
-      // the express request.
-      return callback({params: req.params, query: req.query, body: req.body});
+      return callback(new RequestContext({
+        method: req.method,
+        path: req.path,
+        params: req.params,
+        query: req.query,
+        body: req.body,
+        headers: req.headers,
+        user: req.user,
+        locals: res.locals
+      }));
     }).then(function (result) {
-      res.send(result);
-    }).catch(next);
+      // `res.send(null)` would respond with an empty body instead of JSON.
+      if (!(result instanceof HttpResult)) {
+        res.json(result);
+      } else if (result.body === undefined) {
+        res.status(result.statusCode).set(result.headers).end();
+      } else {
+        res.status(result.statusCode).set(result.headers).json(result.body);
+      }
+    }).catch(function (err) {
+      // Client errors are responded with the formatted error body. Server errors
+      // are passed to express' error handling so that they get logged.
+      if (err.data && err.statusCode < 500) {
+        res.status(err.statusCode).set(err.headers).send(err.data);
+      } else {
+        next(err);
+      }
+    });
   });
 };
@@ -0,0 +1,59 @@
+'use strict';
+
+var Promise = require('bluebird');
+var HttpResult = require('../HttpResult');
+var RequestContext = require('../RequestContext');
+
+module.exports = function fastifyAdapter(app, method, route, callback) {
+  // Fastify instance has a routing method for each HTTP verb and it uses
+  // the same `:param` syntax for route parameters as express.
+  app[method.toLowerCase()](route, function (request, reply) {
+    Promise.try(function () {
+      // Fastify has no per-request state object. Hooks can set `request.locals`
+      // just like `request.user`.
+      if (!request.locals) {
+        request.locals = {};
+      }
+
+      return callback(new RequestContext({
+        method: request.raw.method,
+        path: request.raw.url.split('?')[0],
+        params: request.params,
+        query: request.query,
+        body: request.body,
+        headers: request.headers,
+        user: request.user,
+        locals: request.locals
+      }));
+    }).then(function (result) {
+      if (result instanceof HttpResult) {
+        send(reply, result.statusCode, result.body, result.headers);
+      } else {
+        reply.send(result);
+      }
+    }).catch(function (err) {
+      if (err.data && err.statusCode < 500) {
+        send(reply, err.statusCode, err.data, err.headers);
+      } else {
+        // Fastify sets the response status from `err.statusCode`.
+        reply.send(err);
+      }
+    });
+  });
+};
+
+/**
+ * @private
+ */
+function send(reply, statusCode, body, headers) {
+  reply.code(statusCode).headers(headers || {});
+
+  // Fastify only serializes objects whose content type is application/json.
+  var contentType = reply.getHeader('content-type');
+
+  if (contentType && contentType.indexOf('application/json') === -1) {
+    reply.serializer(JSON.stringify);
+  }
+
+  reply.send(body);
+}
@@ -0,0 +1,189 @@
+'use strict';
+
+var _ = require('lodash');
+var url = require('url');
+var Promise = require('bluebird');
+var querystring = require('querystring');
+var utils = require('../utils');
+var errors = require('../errors');
+var HttpResult = require('../HttpResult');
+var RequestContext = require('../RequestContext');
+
+/**
+ * Maximum size of a request body in bytes.
+ *
+ * @type {number}
+ */
+var MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Adapter for plain node `http` servers.
+ *
+ * The adapter does its own routing, query string parsing and JSON body parsing. The
+ * routes are registered to an app created using `httpAdapter.createApp()`. The app is
+ * a request listener that can be passed to `http.createServer`:
+ *
+ * ```js
+ * var app = httpAdapter.createApp();
+ *
+ * restApiGenerator
+ *   .adapter(httpAdapter)
+ *   .generate(app);
+ *
+ * http.createServer(app).listen(8080);
+ * ```
+ *
+ * The app can also be used as a connect style middleware `app(req, res, next)`. In that
+ * case requests that don't match any route and server errors are passed to `next`.
+ * Otherwise server errors are passed to the `onError` option of `createApp`.
+ */
+function httpAdapter(app, method, route, callback) {
+  app.routes.push({
+    method: method.toUpperCase(),
+    match: utils.compileRoute(route),
+    callback: callback
+  });
+}
+
+/**
+ * Creates a request listener to which `httpAdapter` registers the routes.
+ *
+ * `onError(err, req)` is called with the errors of the 5xx responses when the app is
+ * not used as a middleware. The original error of an `HttpError` is in its `cause`.
+ * It defaults to `console.error`.
+ *
+ * @param {{onError: function(Error, IncomingMessage)=}=} options
+ * @returns {function(IncomingMessage, ServerResponse, function=)}
+ */
+httpAdapter.createApp = function (options) {
+  var onError = _.get(options, 'onError') || function (err) {
+    console.error(err);
+  };
+
+  function app(req, res, next) {
+    var parsedUrl = url.parse(req.url);
+    var params = null;
+    var route;
+
+    try {
+      route = _.find(app.routes, function (route) {
+        params = route.method === req.method && route.match(parsedUrl.pathname);
+        return !!params;
+      });
+    } catch (err) {
+      // Malformed percent-encoding in the path.
+      return send(res, err.statusCode, errors.formatError(err));
+    }
+
+    if (!route) {
+      if (next) {
+        return next();
+      } else {
+        return send(res, 404, errors.formatError(utils.error(404)));
+      }
+    }
+
+    readBody(req).then(function (body) {
+      return route.callback(new RequestContext({
+        method: req.method,
+        path: parsedUrl.pathname,
+        params: params,
+        query: querystring.parse(parsedUrl.query),
+        body: body,
+        headers: req.headers,
+        user: req.user,
+        locals: res.locals
+      }));
+    }).then(function (result) {
+      if (result instanceof HttpResult) {
+        send(res, result.statusCode, result.body, result.headers);
+      } else {
+        send(res, 200, result);
+      }
+    }).catch(function (err) {
+      var statusCode = err.statusCode || 500;
+
+      if (statusCode < 500) {
+        // Body parsing errors are not formatted by the generator. The rest of a too large
+        // body is not read, so the connection can't be reused.
+        send(res, statusCode, err.data || errors.formatError(err), statusCode === 413 ? {Connection: 'close'} : err.headers);
+      } else if (next) {
+        next(err);
+      } else {
+        onError(err, req);
+        send(res, statusCode, err.data || errors.formatError(utils.error(statusCode)), err.headers);
+      }
+    });
+  }
+
+  app.routes = [];
+  return app;
+};
+
+/**
+ * @private
+ */
+function readBody(req) {
+  // The body may have already been parsed by some middleware.
+  if (req.body !== undefined) {
+    return Promise.resolve(req.body);
+  }
+
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    var size = 0;
+
+    req.on('data', function onData(chunk) {
+      size += chunk.length;
+
+      if (size > MAX_BODY_SIZE) {
+        // Destroying the request would reset the connection before the client gets
+        // the response. The rest of the body is discarded instead.
+        req.removeListener('data', onData);
+        req.resume();
+        reject(utils.error(413));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+
+    req.on('end', function () {
+      var body = Buffer.concat(chunks).toString('utf8');
+
+      if (!body) {
+        return resolve({});
+      }
+
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(utils.error(400, 'Invalid JSON body'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Sends `body` as JSON. If `body` is undefined, the response has no body.
+ *
+ * @private
+ */
+function send(res, statusCode, body, headers) {
+  if (body === undefined) {
+    res.writeHead(statusCode, headers);
+    return res.end();
+  }
+
+  var json = JSON.stringify(body);
+
+  res.writeHead(statusCode, _.assign({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json)
+  }, headers));
+
+  res.end(json);
+}
+
+module.exports = httpAdapter;
@@ -0,0 +1,58 @@
+'use strict';
+
+var Promise = require('bluebird');
+var HttpResult = require('../HttpResult');
+var RequestContext = require('../RequestContext');
+
+module.exports = function koaAdapter(router, method, route, callback) {
+  // Koa has no routing of its own. `router` is a koa-router instance that has
+  // a routing method for each HTTP verb just like an express app.
+  router[method.toLowerCase()](route, function (ctx) {
+    return Promise.try(function () {
+      // The body is parsed by a body parser middleware like koa-bodyparser. Koa
+      // middleware store the authenticated user and other state to `ctx.state`.
+      return callback(new RequestContext({
+        method: ctx.method,
+        path: ctx.path,
+        params: ctx.params,
+        query: ctx.query,
+        body: ctx.request.body,
+        headers: ctx.headers,
+        user: ctx.state.user,
+        locals: ctx.state
+      }));
+    }).then(function (result) {
+      if (!(result instanceof HttpResult)) {
+        result = new HttpResult(200, result);
+      }
+
+      // The status must be set before the body. Otherwise koa sets it to 200.
+      ctx.status = result.statusCode;
+
+      if (result.body === null) {
+        // Koa responds to a null body with 204.
+        ctx.type = 'json';
+        ctx.body = 'null';
+      } else if (result.body !== undefined) {
+        ctx.body = result.body;
+      }
+
+      // The headers are set after the body because koa sets the content type of
+      // object bodies to json.
+      ctx.set(result.headers);
+    }).catch(function (err) {
+      if (err.data && err.statusCode < 500) {
+        ctx.status = err.statusCode;
+        ctx.body = err.data;
+        ctx.set(err.headers);
+        return;
+      }
+
+      // Koa's error handling uses `status` instead of `statusCode`. Errors with
+      // a 4xx status are client errors and their messages can be exposed.
+      err.status = err.statusCode || 500;
+      err.expose = err.status < 500;
+      throw err;
+    });
+  });
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+var _ = require('lodash');
+var Promise = require('bluebird');
+var HttpError = require('./HttpError');
+
+/**
+ * Query parameter that holds the aggregates to compute.
+ *
+ * @type {string}
+ */
+var AGGREGATE_PARAMETER = 'aggregate';
+
+/**
+ * Query parameter that holds the properties to group by.
+ *
+ * @type {string}
+ */
+var GROUP_BY_PARAMETER = 'groupBy';
+
+/**
+ * The supported aggregate functions.
+ *
+ * @type {Array.<string>}
+ */
+var FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+/**
+ * Parses the `aggregate` and `groupBy` query parameters of an aggregate route.
+ *
+ * ```
+ * aggregate=count,sum:age,max:age&groupBy=lastName
+ * ```
+ *
+ * `aggregate` is a list of `<function>:<property>` items where the function is one of
+ * `count`, `sum`, `avg`, `min` and `max`. A plain `count` counts the rows and is the
+ * default. Only the `aggregateFields` of a model can be aggregated and only the
+ * `groupByFields` grouped.
+ *
+ * Throws 400 if a parameter is invalid.
+ *
+ * @param {Model} modelClass
+ * @param {Object} query
+ *    Query parameters of the request.
+ * @param {Object} modelOptions
+ *    Options given to `addModel` for the model class.
+ * @returns {{aggregates: Array.<Object>, groupBy: Array.<Object>}}
+ */
+function parse(modelClass, query, modelOptions) {
+  var aggregateItems = list(query[AGGREGATE_PARAMETER]);
+  var groupByItems = list(query[GROUP_BY_PARAMETER]);
+  var errors = {};
+
+  function addError(parameter, message) {
+    errors[parameter] = errors[parameter] || [];
+    errors[parameter].push({message: message, keyword: parameter});
+  }
+
+  var aggregates = _.map(aggregateItems.length ? aggregateItems : ['count'], function (item) {
+    var parts = item.split(':');
+    var fn = parts[0];
+    var property = parts[1] || null;
+
+    if (parts.length > 2 || !_.includes(FUNCTIONS, fn) || (!property && fn !== 'count')) {
+      addError(AGGREGATE_PARAMETER, 'invalid aggregate "' + item + '"');
+    } else if (property && !_.includes(modelOptions.aggregateFields, property)) {
+      addError(AGGREGATE_PARAMETER, 'field "' + property + '" can\'t be aggregated');
+    }
+
+    return {
+      name: item,
+      fn: fn,
+      property: property,
+      column: property && modelClass.propertyNameToColumnName(property)
+    };
+  });
+
+  var groupBy = _.map(groupByItems, function (property) {
+    if (!_.includes(modelOptions.groupByFields, property)) {
+      addError(GROUP_BY_PARAMETER, 'field "' + property + '" can\'t be grouped by');
+    }
+
+    return {
+      property: property,
+      column: modelClass.propertyNameToColumnName(property)
+    };
+  });
+
+  if (!_.isEmpty(errors)) {
+    var parameters = _.keys(errors).join(' and ');
+    throw new HttpError(400, 'InvalidQuery', 'Invalid ' + parameters + ' parameter', errors);
+  }
+
+  return {
+    aggregates: aggregates,
+    groupBy: groupBy
+  };
+}
+
+/**
+ * Computes the aggregates parsed by `parse` over the models of `builder` and resolves to
+ * a row for each group. Each row has the group by properties and a property named after
+ * each item of the `aggregate` parameter like `{lastName: 'Smith', count: 3, 'max:age': 60}`.
+ *
+ * The query of `builder` is used as a subquery like in objection's `resultSize` so that
+ * the columns relation queries select don't end up in the aggregate query.
+ *
+ * @param {QueryBuilder} builder
+ *    A query builder that has the filters of the request.
+ * @param {{aggregates: Array.<Object>, groupBy: Array.<Object>}} parsed
+ * @returns {Promise.<Array.<Object>>}
+ */
+function select(builder, parsed) {
+  var query = builder.knex().from(builder.build().as('aggregated'));
+
+  // The selections have generated aliases because aliases like `max:age` are not
+  // valid in every database.
+  _.each(parsed.groupBy, function (group, index) {
+    var column = 'aggregated.' + group.column;
+    query.select(column + ' as g' + index).groupBy(column).orderBy(column);
+  });
+
+  _.each(parsed.aggregates, function (aggregate, index) {
+    var column = aggregate.column ? 'aggregated.' + aggregate.column : '*';
+    query[aggregate.fn](column + ' as a' + index);
+  });
+
+  return Promise.resolve(query).then(function (rows) {
+    return _.map(rows, function (row) {
+      var result = {};
+
+      _.each(parsed.groupBy, function (group, index) {
+        result[group.property] = row['g' + index];
+      });
+
+      _.each(parsed.aggregates, function (aggregate, index) {
+        var value = row['a' + index];
+
+        // Some drivers return counts and sums as strings because they can
+        // be larger than the biggest safe javascript integer.
+        if (_.isString(value) && aggregate.fn !== 'min' && aggregate.fn !== 'max') {
+          value = Number(value);
+        }
+
+        result[aggregate.name] = value;
+      });
+
+      return result;
+    });
+  });
+}
+
+/**
+ * Returns `query` without the `aggregate` and `groupBy` parameters.
+ *
+ * @param {Object} query
+ * @returns {Object}
+ */
+function omit(query) {
+  return _.omit(query, AGGREGATE_PARAMETER, GROUP_BY_PARAMETER);
+}
+
+/**
+ * @private
+ */
+function list(value) {
+  return _.compact(_.invokeMap(_.flatMap(_.compact(_.castArray(value)), function (value) {
+    return String(value).split(',');
+  }), 'trim'));
+}
+
+module.exports = {
+  parse: parse,
+  select: select,
+  omit: omit,
+  AGGREGATE_PARAMETER: AGGREGATE_PARAMETER,
+  GROUP_BY_PARAMETER: GROUP_BY_PARAMETER
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+var _ = require('lodash');
+var utils = require('./utils');
+
+/**
+ * Creates the audit log entries of an operation, one for each affected model.
+ *
+ * The snapshots of the models before and after the operation are paired by id. If
+ * `operation` is not given, it is derived from the pair: `insert` if there is only
+ * an after snapshot, `delete` if there is only a before snapshot and `update` otherwise.
+ *
+ * @param {Object} opt
+ * @param {RequestContext} opt.req
+ * @param {Model} opt.modelClass
+ * @param {string=} opt.operation
+ * @param {Array.<Model>=} opt.before
+ * @param {Array.<Model>=} opt.after
+ * @param {Relation=} opt.relation
+ * @param {Model=} opt.owner
+ *    The owner model of the relation.
+ * @returns {Array.<Object>}
+ */
+function entries(opt) {
+  var timestamp = new Date();
+  var beforeById = _.keyBy(_.compact(opt.before), idKey);
+  var afterById = _.keyBy(_.compact(opt.after), idKey);
+  var ids = _.union(_.keys(afterById), _.keys(beforeById));
+
+  return _.map(ids, function (id) {
+    var before = beforeById[id] || null;
+    var after = afterById[id] || null;
+
+    return {
+      operation: opt.operation || (before ? (after ? 'update' : 'delete') : 'insert'),
+      method: opt.req.method,
+      path: opt.req.path,
+      route: opt.req.route,
+      actor: opt.req.user,
+      tableName: opt.modelClass.tableName,
+      id: (after || before).$id(),
+      relation: opt.relation ? opt.relation.name : null,
+      ownerId: opt.owner ? opt.owner.$id() : null,
+      before: before && snapshot(before),
+      after: after && snapshot(after),
+      timestamp: timestamp
+    };
+  });
+}
+
+/**
+ * Creates the audit log entries of a graph write, one for each model of the `before` and
+ * `after` graphs. The root models get `operation`. The models of the relations are paired
+ * by id among the models of the same relation of the same owner and their entries have
+ * the relation and the owner.
+ *
+ * @param {Object} opt
+ * @param {RequestContext} opt.req
+ * @param {Model} opt.modelClass
+ * @param {string} opt.operation
+ * @param {Array.<Model>=} opt.before
+ *    The root models with their relations before the write.
+ * @param {Array.<Model>=} opt.after
+ *    The root models with their relations after the write.
+ * @returns {Array.<Object>}
+ */
+function graphEntries(opt) {
+  var groups = {};
+
+  function collect(models, snapshotName, relation, owner, path) {
+    _.each(_.compact(models), function (model) {
+      var key = path + '|' + (owner ? idKey(owner) : '');
+
+      if (!groups[key]) {
+        groups[key] = {modelClass: model.constructor, relation: relation, owner: owner, before: [], after: []};
+      }
+
+      groups[key][snapshotName].push(model);
+
+      _.each(model.constructor.getRelations(), function (childRelation, name) {
+        if (model[name] !== undefined) {
+          collect(_.castArray(model[name]), snapshotName, childRelation, model, path ? path + '.' + name : name);
+        }
+      });
+    });
+  }
+
+  collect(opt.before, 'before', null, null, '');
+  collect(opt.after, 'after', null, null, '');
+
+  return _.flatMap(groups, function (group) {
+    return entries({
+      req: opt.req,
+      modelClass: group.relation ? group.modelClass : opt.modelClass,
+      operation: group.relation ? null : opt.operation,
+      before: group.before,
+      after: group.after,
+      relation: group.relation,
+      owner: group.owner
+    });
+  });
+}
+
+/**
+ * Creates an audit sink that inserts the entries into a table using the transaction
+ * of the operation. The table needs the columns `operation`, `method`, `path`, `route`,
+ * `tableName`, `modelId`, `relation`, `ownerId`, `actor`, `before`, `after` and
+ * `createdAt`. Ids are stored in the string form of the routes and `actor`, `before`
+ * and `after` as JSON.
+ *
+ * ```js
+ * restApiGenerator.auditSink(ObjectionRest.audit.tableSink('AuditLog'));
+ * ```
+ *
+ * @param {string} tableName
+ * @returns {function(Array.<Object>, knex.Transaction):Promise}
+ */
+function tableSink(tableName) {
+  return function (entries, trx) {
+    return trx(tableName).insert(_.map(entries, function (entry) {
+      return {
+        operation: entry.operation,
+        method: entry.method,
+        path: entry.path,
+        route: entry.route,
+        tableName: entry.tableName,
+        modelId: utils.formatId(entry.id),
+        relation: entry.relation,
+        ownerId: entry.ownerId === null ? null : utils.formatId(entry.ownerId),
+        actor: toJson(entry.actor),
+        before: toJson(entry.before),
+        after: toJson(entry.after),
+        createdAt: entry.timestamp
+      };
+    }));
+  };
+}
+
+/**
+ * @private
+ */
+function idKey(model) {
+  return utils.formatId(model.$id());
+}
+
+/**
+ * The properties of a model without its relations.
+ *
+ * @private
+ */
+function snapshot(model) {
+  return _.omit(model.$toJson(), _.keys(model.constructor.getRelations()));
+}
+
+/**
+ * @private
+ */
+function toJson(value) {
+  return _.isNil(value) ? null : JSON.stringify(value);
+}
+
+module.exports = {
+  entries: entries,
+  graphEntries: graphEntries,
+  tableSink: tableSink
+};
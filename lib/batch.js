@@ -0,0 +1,169 @@
+'use strict';
+
+var _ = require('lodash');
+var HttpError = require('./HttpError');
+
+/**
+ * Matches references to the results of earlier operations like `@{0.id}` or `@{person.pets.0.id}`.
+ *
+ * @type {RegExp}
+ */
+var REFERENCE_REGEX = /@\{([\w-]+)((?:\.[\w-]+)*)\}/g;
+
+/**
+ * Headers of the batch request that are not passed to the operations. The preconditions
+ * of the batch request are about the `_batch` route and not about the operations.
+ *
+ * @type {Array.<string>}
+ */
+var CONDITIONAL_HEADERS = ['if-match', 'if-none-match', 'if-modified-since', 'if-unmodified-since', 'if-range'];
+
+/**
+ * Validates the body of a batch request and returns the operations in it.
+ *
+ * The body must be an array of `{method, path, query, headers, body, ref}` objects.
+ * `query`, `headers`, `body` and `ref` are optional.
+ *
+ * @param {*} body
+ * @returns {Array.<{method: string, path: string, query: Object, headers: Object, body: *, ref: string}>}
+ */
+function parseOperations(body) {
+  if (!_.isArray(body)) {
+    throw new HttpError(400, 'InvalidBatch', 'Batch body must be an array of operations');
+  }
+
+  var errors = {};
+
+  function addError(index, field, message) {
+    var key = index + '.' + field;
+    errors[key] = errors[key] || [];
+    errors[key].push({message: message, keyword: 'batch'});
+  }
+
+  _.each(body, function (operation, index) {
+    if (!_.isPlainObject(operation)) {
+      return addError(index, 'method', 'is required');
+    }
+
+    if (!_.isString(operation.method)) {
+      addError(index, 'method', 'is required');
+    }
+
+    if (!_.isString(operation.path) || operation.path.charAt(0) !== '/') {
+      addError(index, 'path', 'must be an absolute path');
+    }
+
+    if (!_.isNil(operation.query) && !_.isPlainObject(operation.query)) {
+      addError(index, 'query', 'must be an object');
+    }
+
+    if (!_.isNil(operation.headers) && !(_.isPlainObject(operation.headers) && _.every(operation.headers, _.isString))) {
+      addError(index, 'headers', 'must be an object of strings');
+    }
+
+    if (!_.isNil(operation.ref) && !/^[\w-]+$/.test(operation.ref)) {
+      addError(index, 'ref', 'must only contain letters, digits, dashes and underscores');
+    }
+  });
+
+  if (!_.isEmpty(errors)) {
+    throw new HttpError(400, 'InvalidBatch', 'Invalid batch operations', errors);
+  }
+
+  return _.map(body, function (operation) {
+    return {
+      method: operation.method.toUpperCase(),
+      path: operation.path,
+      query: operation.query || {},
+      headers: operation.headers || {},
+      body: operation.body,
+      ref: _.isNil(operation.ref) ? null : String(operation.ref)
+    };
+  });
+}
+
+/**
+ * Replaces the references in `value` with values from the results of earlier operations.
+ *
+ * A reference `@{<ref>.<path>}` points to the result of the operation whose index or `ref`
+ * is `<ref>`. `<path>` is a lodash style property path into the result. A string that
+ * consists of a single reference is replaced with the referenced value as is. References
+ * inside longer strings are replaced with the value converted into a string, and
+ * URI encoded if `encode` is true.
+ *
+ * @param {*} value
+ * @param {Object.<string, *>} results
+ *    Results of the earlier operations by index and `ref`.
+ * @param {boolean=} encode
+ * @returns {*}
+ */
+function resolveReferences(value, results, encode) {
+  if (_.isString(value)) {
+    var match = new RegExp('^' + REFERENCE_REGEX.source + '$').exec(value);
+
+    if (match) {
+      return lookup(results, match[0], match[1], match[2]);
+    }
+
+    return value.replace(REFERENCE_REGEX, function (reference, name, path) {
+      var str = String(lookup(results, reference, name, path));
+      return encode ? encodeURIComponent(str) : str;
+    });
+  } else if (_.isArray(value)) {
+    return _.map(value, function (item) {
+      return resolveReferences(item, results, encode);
+    });
+  } else if (_.isPlainObject(value)) {
+    return _.mapValues(value, function (item) {
+      return resolveReferences(item, results, encode);
+    });
+  } else {
+    return value;
+  }
+}
+
+/**
+ * Returns the headers of an operation: the headers of the batch request without the
+ * conditional ones, overridden by the operation's own `headers`.
+ *
+ * @param {Object.<string, string>} batchHeaders
+ *    Headers of the batch request in lower case.
+ * @param {Object.<string, string>} operationHeaders
+ * @returns {Object.<string, string>}
+ */
+function headers(batchHeaders, operationHeaders) {
+  var ownHeaders = _.mapKeys(operationHeaders, function (value, name) {
+    return name.toLowerCase();
+  });
+
+  // References may have been replaced with numbers.
+  return _.assign(_.omit(batchHeaders, CONDITIONAL_HEADERS), _.mapValues(ownHeaders, String));
+}
+
+/**
+ * @private
+ */
+function lookup(results, reference, name, path) {
+  if (!_.has(results, name)) {
+    throw new HttpError(400, 'InvalidReference', 'Reference ' + reference + ' points to no earlier operation');
+  }
+
+  var propertyPath = _.compact(path.split('.'));
+  var value = results[name];
+
+  if (propertyPath.length) {
+    value = _.get(value, propertyPath);
+  }
+
+  if (value === undefined) {
+    throw new HttpError(400, 'InvalidReference', 'Reference ' + reference + ' has no value');
+  }
+
+  return value;
+}
+
+module.exports = {
+  parseOperations: parseOperations,
+  resolveReferences: resolveReferences,
+  headers: headers
+};
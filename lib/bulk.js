@@ -0,0 +1,110 @@
+'use strict';
+
+var _ = require('lodash');
+var utils = require('./utils');
+var HttpError = require('./HttpError');
+
+/**
+ * Query parameter that holds the ids of the models to delete.
+ *
+ * @type {string}
+ */
+var IDS_PARAMETER = 'ids';
+
+/**
+ * Parses the `ids` query parameter of a bulk delete.
+ *
+ * Ids are separated by commas: `ids=1,2,3`. The values of a composite id are separated
+ * by commas too, so each composite id needs a parameter of its own: `ids=1,2&ids=3,4`.
+ *
+ * Returns null if the query has no `ids` parameter.
+ *
+ * @param {Model} modelClass
+ * @param {Object} query
+ *    Query parameters of the request.
+ * @returns {Array.<string|Array.<string>>}
+ */
+function parseIds(modelClass, query) {
+  if (!_.has(query, IDS_PARAMETER)) {
+    return null;
+  }
+
+  var values = _.map(_.flattenDeep([query[IDS_PARAMETER]]), String);
+
+  if (modelClass.getIdPropertyArray().length === 1) {
+    values = _.flatMap(values, function (value) {
+      return value.split(',');
+    });
+  }
+
+  values = _.compact(_.invokeMap(values, 'trim'));
+
+  var invalid = _.filter(values, function (value) {
+    return utils.parseId(modelClass, value) === null;
+  });
+
+  if (invalid.length) {
+    var errors = {};
+
+    errors[IDS_PARAMETER] = _.map(invalid, function (value) {
+      return {message: 'invalid id "' + value + '"', keyword: IDS_PARAMETER};
+    });
+
+    throw new HttpError(400, 'InvalidQuery', 'Invalid ' + IDS_PARAMETER + ' parameter', errors);
+  }
+
+  return _.uniq(values);
+}
+
+/**
+ * Returns `query` without the `ids` parameter.
+ *
+ * @param {Object} query
+ * @returns {Object}
+ */
+function omit(query) {
+  return _.omit(query, IDS_PARAMETER);
+}
+
+/**
+ * Returns the ids of `ids` that no model of `models` has. The ids are returned in the
+ * string form of `utils.formatId` so that bulk patch and bulk delete respond with the
+ * same ids whether they came from a body or from the query string.
+ *
+ * @param {Array.<*>} ids
+ * @param {Array.<Model>} models
+ * @returns {Array.<string>}
+ */
+function notFoundIds(ids, models) {
+  var found = _.keyBy(models, function (model) {
+    return utils.formatId(model.$id());
+  });
+
+  return _.reject(_.map(ids, utils.formatId), function (id) {
+    return _.has(found, id);
+  });
+}
+
+/**
+ * Adds the index of a bulk request item to the field errors of an `HttpError`
+ * so that `{firstName: [...]}` of the second item becomes `{'1.firstName': [...]}`.
+ *
+ * @param {HttpError} httpError
+ * @param {number} index
+ * @returns {HttpError}
+ */
+function itemError(httpError, index) {
+  httpError.errors = _.mapKeys(httpError.errors, function (fieldErrors, field) {
+    return index + '.' + field;
+  });
+
+  return httpError;
+}
+
+module.exports = {
+  parseIds: parseIds,
+  omit: omit,
+  notFoundIds: notFoundIds,
+  itemError: itemError,
+  IDS_PARAMETER: IDS_PARAMETER
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+var _ = require('lodash');
+var path = require('path');
+var Promise = require('bluebird');
+
+var USAGE = [
+  'Usage: objection-rest routes <module> [--json]',
+  '',
+  'Prints the routes of the RestApiGenerator exported by <module>. The module may',
+  'also export a function that returns a generator or a promise for one.',
+  '',
+  'Options:',
+  '  --json  print the route descriptors as JSON'
+].join('\n');
+
+var COLUMNS = [
+  {title: 'METHOD', prop: 'method'},
+  {title: 'PATH', prop: 'path'},
+  {title: 'OPERATION', prop: 'operation'},
+  {title: 'MODEL', prop: 'model'},
+  {title: 'RELATION', prop: 'relation'},
+  {title: 'EXCLUDED', prop: 'excluded'}
+];
+
+/**
+ * Runs the `objection-rest` command line interface.
+ *
+ * Resolves to the exit code of the process.
+ *
+ * @param {Array.<string>} args
+ *    Command line arguments without the node executable and the script.
+ * @param {stream.Writable} stdout
+ * @param {stream.Writable} stderr
+ * @returns {Promise.<number>}
+ */
+function run(args, stdout, stderr) {
+  var json = _.includes(args, '--json');
+  var positional = _.reject(args, function (arg) {
+    return arg.charAt(0) === '-';
+  });
+
+  if (positional[0] !== 'routes' || positional.length !== 2) {
+    stderr.write(USAGE + '\n');
+    return Promise.resolve(1);
+  }
+
+  return Promise.try(function () {
+    var exported = require(path.resolve(positional[1]));
+    return _.isFunction(exported) ? exported() : exported;
+  }).then(function (generator) {
+    if (!generator || !_.isFunction(generator.routes)) {
+      throw new Error(positional[1] + ' does not export a RestApiGenerator');
+    }
+
+    var routes = generator.routes();
+    stdout.write((json ? JSON.stringify(routes, null, 2) : formatRoutes(routes)) + '\n');
+    return 0;
+  }).catch(function (err) {
+    stderr.write(err.message + '\n');
+    return 1;
+  });
+}
+
+/**
+ * Formats route descriptors returned by `RestApiGenerator.routes` into a plain text
+ * table that is easy to diff.
+ *
+ * @param {Array.<Object>} routes
+ * @returns {string}
+ */
+function formatRoutes(routes) {
+  var rows = _.map(routes, function (route) {
+    return _.map(COLUMNS, function (column) {
+      var value = route[column.prop];
+
+      if (column.prop === 'excluded') {
+        return value ? 'yes' : '';
+      }
+
+      return _.isNil(value) ? '-' : String(value);
+    });
+  });
+
+  rows.unshift(_.map(COLUMNS, 'title'));
+
+  var widths = _.map(COLUMNS, function (column, index) {
+    return _.max(_.map(rows, function (row) {
+      return row[index].length;
+    }));
+  });
+
+  return _.map(rows, function (row) {
+    return _.trimEnd(_.map(row, function (cell, index) {
+      return _.padEnd(cell, widths[index]);
+    }).join('  '));
+  }).join('\n');
+}
+
+module.exports = {
+  run: run,
+  formatRoutes: formatRoutes
+};
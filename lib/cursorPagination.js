@@ -0,0 +1,262 @@
+'use strict';
+
+var _ = require('lodash');
+var utils = require('./utils');
+
+/**
+ * Query parameter that holds the cursor of the next page.
+ *
+ * @type {string}
+ */
+var CURSOR_PARAMETER = 'cursor';
+
+/**
+ * Query parameter that holds the page size.
+ *
+ * @type {string}
+ */
+var LIMIT_PARAMETER = 'limit';
+
+/**
+ * Page size used when the model has neither `defaultPageSize` nor `maxPageSize`.
+ *
+ * @type {number}
+ */
+var DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Builds a keyset paginated query.
+ *
+ * The results are ordered by the objection-find `orderBy` parameters and finally by the
+ * id. NULLs come after the other values in both directions in every database. The cursor
+ * of the next page contains the values of those columns for the last row of the page.
+ * The next page is fetched by selecting the rows that come after those values in the
+ * same ordering. Unlike offsets this is fast for any page and stable when rows are
+ * inserted.
+ *
+ * Returns a promise for `{results, nextCursor}`. `nextCursor` is null for the last page.
+ *
+ * @param {Object} opt
+ * @param {Model} opt.modelClass
+ * @param {FindQueryBuilder} opt.findQuery
+ * @param {Object} opt.query
+ *    Query parameters of the request.
+ * @param {QueryBuilder} opt.builder
+ * @param {Object} opt.options
+ *    Options of the model given to `addModel`.
+ * @returns {Promise}
+ */
+function cursorPage(opt) {
+  var query = opt.query;
+  var findQuery = opt.findQuery;
+  var pageSize = parsePageSize(query[LIMIT_PARAMETER], opt.options);
+  var orderings = parseOrderings(opt.modelClass, findQuery, query);
+
+  if (_.has(query, utils.specialParameterName(findQuery, 'rangeStart'))
+      || _.has(query, utils.specialParameterName(findQuery, 'rangeEnd'))) {
+    throw utils.error(400, 'Range parameters cannot be used with cursor pagination');
+  }
+
+  var builder = findQuery.build(_.omit(query, CURSOR_PARAMETER, LIMIT_PARAMETER), opt.builder);
+
+  if (query[CURSOR_PARAMETER]) {
+    whereAfter(builder, orderings, decodeCursor(orderings, query[CURSOR_PARAMETER]));
+  }
+
+  // The orderings of objection-find are replaced because databases sort NULLs
+  // differently and the keyset conditions need to know where they are.
+  builder.clear(/orderBy/);
+
+  _.each(orderings, function (ordering) {
+    builder
+      .orderByRaw('(case when ?? is null then 1 else 0 end)', [ordering.column])
+      .orderBy(ordering.column, ordering.dir);
+  });
+
+  _.each(orderings, function (ordering) {
+    // The cursor is created from the ordering columns so they must be selected
+    // even if the query selects only some of the columns.
+    if (!builder.hasSelection(ordering.column)) {
+      builder.select(ordering.column);
+    }
+  });
+
+  return builder.limit(pageSize + 1).then(function (models) {
+    var results = _.take(models, pageSize);
+
+    return {
+      results: results,
+      nextCursor: models.length > pageSize ? encodeCursor(orderings, _.last(results)) : null
+    };
+  });
+}
+
+/**
+ * @private
+ */
+function parsePageSize(limit, options) {
+  var pageSize = options.defaultPageSize || options.maxPageSize || DEFAULT_PAGE_SIZE;
+
+  if (limit !== undefined) {
+    pageSize = parseInt(limit, 10);
+
+    if (_.isNaN(pageSize) || pageSize < 1) {
+      throw utils.error(400, 'Invalid ' + LIMIT_PARAMETER + ' "' + limit + '"');
+    }
+  }
+
+  if (options.maxPageSize) {
+    pageSize = Math.min(pageSize, options.maxPageSize);
+  }
+
+  return pageSize;
+}
+
+/**
+ * Returns the orderings of the query in the order they appear in the query parameters.
+ * The id properties are added as the last orderings if they are not there already so
+ * that the ordering is unique.
+ *
+ * @private
+ */
+function parseOrderings(modelClass, findQuery, query) {
+  var orderings = [];
+  var directions = {};
+
+  directions[utils.specialParameterName(findQuery, 'orderBy')] = 'asc';
+  directions[utils.specialParameterName(findQuery, 'orderByAsc')] = 'asc';
+  directions[utils.specialParameterName(findQuery, 'orderByDesc')] = 'desc';
+
+  _.each(query, function (value, key) {
+    if (!directions[key]) {
+      return;
+    }
+
+    _.each(_.castArray(value), function (propertyName) {
+      if (propertyName.indexOf('.') !== -1) {
+        throw utils.error(400, 'Cannot order by relation properties when using cursor pagination');
+      }
+
+      orderings.push(ordering(modelClass, propertyName, directions[key]));
+    });
+  });
+
+  _.each(modelClass.getIdPropertyArray(), function (propertyName) {
+    if (!_.find(orderings, {propertyName: propertyName})) {
+      orderings.push(ordering(modelClass, propertyName, 'asc'));
+    }
+  });
+
+  return orderings;
+}
+
+/**
+ * @private
+ */
+function ordering(modelClass, propertyName, dir) {
+  return {
+    propertyName: propertyName,
+    column: modelClass.tableName + '.' + modelClass.propertyNameToColumnName(propertyName),
+    dir: dir
+  };
+}
+
+/**
+ * Selects the rows that come after `values` in the given orderings:
+ *
+ * ```
+ * (a > va) OR (a = va AND b > vb) OR (a = va AND b = vb AND id > vid)
+ * ```
+ *
+ * NULLs are sorted last. Everything but NULL comes before a NULL value and nothing comes
+ * after it, so `a > va` becomes `(a > va OR a IS NULL)` for a non-NULL `va` and the term
+ * is left out for a NULL `va`. `a = va` becomes `a IS NULL` for a NULL `va`.
+ *
+ * @private
+ */
+function whereAfter(builder, orderings, values) {
+  builder.where(function () {
+    var where = this;
+
+    _.each(orderings, function (ordering, i) {
+      if (values[i] === null) {
+        return;
+      }
+
+      where.orWhere(function () {
+        for (var j = 0; j < i; ++j) {
+          if (values[j] === null) {
+            this.whereNull(orderings[j].column);
+          } else {
+            this.where(orderings[j].column, values[j]);
+          }
+        }
+
+        this.where(function () {
+          this.where(ordering.column, ordering.dir === 'desc' ? '<' : '>', values[i]).orWhereNull(ordering.column);
+        });
+      });
+    });
+
+    // Nothing comes after a row whose values are all NULL.
+    if (_.every(values, _.isNull)) {
+      where.whereRaw('1 = 0');
+    }
+  });
+}
+
+/**
+ * The cursor is an url safe base64 encoded JSON document that contains the
+ * orderings and the values of the ordering properties of the last row.
+ *
+ * @private
+ */
+function encodeCursor(orderings, model) {
+  var json = JSON.stringify({
+    o: orderingKeys(orderings),
+    v: _.map(orderings, function (ordering) {
+      return model[ordering.propertyName];
+    })
+  });
+
+  return Buffer.from(json, 'utf8')
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @private
+ */
+function decodeCursor(orderings, cursor) {
+  var decoded;
+
+  try {
+    var base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+    decoded = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+  } catch (err) {
+    throw utils.error(400, 'Invalid cursor');
+  }
+
+  if (!decoded || !_.isArray(decoded.v) || !_.isEqual(decoded.o, orderingKeys(orderings))) {
+    throw utils.error(400, 'Cursor does not match the ordering of the query');
+  }
+
+  return decoded.v;
+}
+
+/**
+ * @private
+ */
+function orderingKeys(orderings) {
+  return _.map(orderings, function (ordering) {
+    return ordering.propertyName + ':' + ordering.dir;
+  });
+}
+
+module.exports = {
+  cursorPage: cursorPage,
+  CURSOR_PARAMETER: CURSOR_PARAMETER,
+  LIMIT_PARAMETER: LIMIT_PARAMETER
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+var _ = require('lodash');
+var HttpError = require('./HttpError');
+
+/**
+ * Messages of the errors objection-find throws for invalid query parameters.
+ *
+ * @type {RegExp}
+ */
+var FIND_QUERY_ERROR_REGEX = /^(PropertyRef|parameter): |^Property reference ".*" not allowed$/;
+
+/**
+ * Converts any error thrown by a route handler into an `HttpError`.
+ *
+ * | Error                              | Status | Code                  |
+ * |------------------------------------|--------|-----------------------|
+ * | `HttpError`                        | any    | as is                 |
+ * | objection `ValidationError`        | 400    | `ValidationError`     |
+ * | invalid objection-find parameter   | 400    | `InvalidQuery`        |
+ * | unique constraint violation        | 409    | `UniqueViolation`     |
+ * | foreign key constraint violation   | 422    | `ForeignKeyViolation` |
+ * | other error with a `statusCode`    | any    | from the status       |
+ * | anything else                      | 500    | `InternalServerError` |
+ *
+ * @param {Error} err
+ * @param {Object} objection
+ * @returns {HttpError}
+ */
+function toHttpError(err, objection) {
+  if (err instanceof HttpError) {
+    return err;
+  }
+
+  if (!_.isObject(err)) {
+    err = new Error(String(err));
+  }
+
+  var httpError;
+
+  if (err instanceof objection.ValidationError) {
+    httpError = new HttpError(400, 'ValidationError', 'Validation failed', validationErrors(err.data));
+  } else if (isUniqueViolation(err)) {
+    httpError = new HttpError(409, 'UniqueViolation', 'Unique constraint violation', constraintErrors(err, 'unique'));
+  } else if (isForeignKeyViolation(err)) {
+    httpError = new HttpError(422, 'ForeignKeyViolation', 'Foreign key constraint violation', constraintErrors(err, 'foreignKey'));
+  } else if (err.statusCode === 400 && FIND_QUERY_ERROR_REGEX.test(err.message)) {
+    httpError = new HttpError(400, 'InvalidQuery', err.message);
+  } else if (err.statusCode >= 400 && err.statusCode < 500) {
+    httpError = new HttpError(err.statusCode, null, err.message);
+  } else {
+    // Messages of server errors may contain SQL and other internals.
+    httpError = new HttpError(err.statusCode || 500);
+    httpError.stack = err.stack;
+  }
+
+  httpError.cause = err;
+  return httpError;
+}
+
+/**
+ * The default `errorFormatter`.
+ *
+ * @param {HttpError} err
+ * @returns {{status: number, code: string, message: string, errors: Object}}
+ */
+function formatError(err) {
+  return {
+    status: err.statusCode,
+    code: err.code,
+    message: err.message,
+    errors: err.errors
+  };
+}
+
+/**
+ * objection's `ValidationError.data` has an array of `{message, keyword, params}` objects
+ * for each property that failed the JSON schema validation. Some errors, like ones for
+ * disallowed eager expressions, only have a message string.
+ *
+ * @private
+ */
+function validationErrors(data) {
+  return _.mapValues(data, function (errors) {
+    return _.map(_.isArray(errors) ? errors : [errors], function (error) {
+      if (_.isString(error)) {
+        return {message: error, keyword: null};
+      } else {
+        return {message: error.message, keyword: error.keyword || null};
+      }
+    });
+  });
+}
+
+/**
+ * @private
+ */
+function isUniqueViolation(err) {
+  return err.code === '23505'                       // postgres
+    || err.code === 'ER_DUP_ENTRY'                  // mysql
+    || /UNIQUE constraint failed/.test(err.message); // sqlite
+}
+
+/**
+ * @private
+ */
+function isForeignKeyViolation(err) {
+  return err.code === '23503'
+    || err.code === 'ER_NO_REFERENCED_ROW_2'
+    || err.code === 'ER_ROW_IS_REFERENCED_2'
+    || /FOREIGN KEY constraint failed/.test(err.message);
+}
+
+/**
+ * Picks the violating columns from the database error if the database tells them.
+ *
+ * @private
+ */
+function constraintErrors(err, keyword) {
+  var columns = [];
+  var match;
+
+  if (err.detail && (match = /^Key \((.+?)\)=/.exec(err.detail))) {
+    // postgres: Key (email)=(jennifer@example.com) already exists.
+    columns = match[1].split(/,\s*/);
+  } else if ((match = /UNIQUE constraint failed: (.+)$/.exec(err.message))) {
+    // sqlite: UNIQUE constraint failed: Person.email, Person.age
+    columns = _.map(match[1].split(/,\s*/), function (column) {
+      return _.last(column.split('.'));
+    });
+  }
+
+  return _.zipObject(columns, _.map(columns, function () {
+    return [{message: keyword === 'unique' ? 'already exists' : 'violates a foreign key constraint', keyword: keyword}];
+  }));
+}
+
+module.exports = {
+  toHttpError: toHttpError,
+  formatError: formatError
+};
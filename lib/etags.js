@@ -0,0 +1,75 @@
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+
+/**
+ * Computes the ETag of a model.
+ *
+ * If the model has a `versionColumn` option, the ETag is the value of that column. Otherwise
+ * it is a hash of the model's database row. Returns null if the model doesn't have all the
+ * columns needed, for example because only some fields were selected.
+ *
+ * @param {Model} model
+ * @param {Object} options
+ *    Options given to `addModel` for the model class.
+ * @param {boolean} partial
+ *    True if only some of the columns were selected.
+ * @returns {string}
+ */
+function compute(model, options, partial) {
+  if (options.versionColumn) {
+    var version = model[model.constructor.columnNameToPropertyName(options.versionColumn)];
+    return _.isNil(version) ? null : quote(String(version));
+  }
+
+  if (partial) {
+    return null;
+  }
+
+  var hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(model.$toDatabaseJson()))
+    .digest('hex');
+
+  return quote(hash);
+}
+
+/**
+ * Tests if an `If-Match` or `If-None-Match` header value matches `etag`.
+ *
+ * `If-Match` uses the strong comparison in which weak ETags (`W/"..."`) never match.
+ * `If-None-Match` uses the weak comparison that ignores the `W/` prefix.
+ *
+ * @param {string} header
+ * @param {string} etag
+ * @param {boolean} weak
+ * @returns {boolean}
+ */
+function matches(header, etag, weak) {
+  return _.some(header.split(','), function (tag) {
+    tag = tag.trim();
+
+    if (tag === '*') {
+      return true;
+    }
+
+    if (weak) {
+      tag = tag.replace(/^W\//, '');
+    }
+
+    return tag === etag;
+  });
+}
+
+/**
+ * @private
+ */
+function quote(value) {
+  return '"' + value.replace(/"/g, '') + '"';
+}
+
+module.exports = {
+  compute: compute,
+  matches: matches
+};
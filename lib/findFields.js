@@ -0,0 +1,96 @@
+'use strict';
+
+var _ = require('lodash');
+var utils = require('./utils');
+var HttpError = require('./HttpError');
+
+var ORDER_BY_PARAMETERS = ['orderBy', 'orderByAsc', 'orderByDesc'];
+var OTHER_SPECIAL_PARAMETERS = ['eager', 'rangeStart', 'rangeEnd'];
+
+/**
+ * Checks that the filters and the ordering of an objection-find query only reference
+ * fields that the models return. Fields that are not `readableFields` or are `hiddenFields`
+ * of their model are rejected with 400 just like unknown fields so that their values can't
+ * be guessed by filtering or sorting.
+ *
+ * References of unknown relations are left for objection-find to reject.
+ *
+ * @param {FindQueryBuilder} findQuery
+ *    The objection-find builder of the model.
+ * @param {Model} modelClass
+ * @param {Object} query
+ *    The query parameters that are passed to `findQuery.build`.
+ * @param {function(Model): Object} modelOptions
+ *    Returns the options given to `addModel` for a model class.
+ * @returns {Object}
+ *    The query.
+ */
+function check(findQuery, modelClass, query, modelOptions) {
+  var orderByNames = specialParameterNames(findQuery, ORDER_BY_PARAMETERS);
+  var otherNames = specialParameterNames(findQuery, OTHER_SPECIAL_PARAMETERS);
+  var errors = {};
+
+  _.each(query, function (value, key) {
+    var refs;
+
+    if (_.includes(orderByNames, key)) {
+      refs = _.castArray(value);
+    } else if (_.includes(otherNames, key)) {
+      return;
+    } else {
+      refs = key.replace(/\s/g, '').split(':')[0].split('|');
+    }
+
+    var hidden = _.reject(refs, function (ref) {
+      return isReadable(modelClass, ref, modelOptions);
+    });
+
+    if (hidden.length) {
+      errors[key] = _.map(hidden, function (ref) {
+        return {message: 'unknown field "' + ref + '"', keyword: key};
+      });
+    }
+  });
+
+  if (!_.isEmpty(errors)) {
+    throw new HttpError(400, 'InvalidQuery', 'Invalid query parameters', errors);
+  }
+
+  return query;
+}
+
+/**
+ * @private
+ */
+function specialParameterNames(findQuery, names) {
+  return _.map(names, function (name) {
+    return utils.specialParameterName(findQuery, name);
+  });
+}
+
+/**
+ * @private
+ */
+function isReadable(modelClass, ref, modelOptions) {
+  var parts = String(ref).split('.');
+  var propertyName = _.last(parts);
+
+  if (parts.length === 2) {
+    var relation = modelClass.getRelations()[parts[0]];
+
+    if (!relation) {
+      return true;
+    }
+
+    modelClass = relation.relatedModelClass;
+  }
+
+  var options = modelOptions(modelClass);
+
+  return (!options.readableFields || _.includes(options.readableFields, propertyName))
+    && !_.includes(options.hiddenFields, propertyName);
+}
+
+module.exports = {
+  check: check
+};
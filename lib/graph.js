@@ -0,0 +1,82 @@
+'use strict';
+
+var _ = require('lodash');
+var utils = require('./utils');
+
+/**
+ * Splits the related models of a graph into the writes of each relation.
+ *
+ * Each relation of each model in the graph becomes a `{relation, owner, inserts, updates,
+ * deletes, relates}` object. The related models are paired by id with the models the
+ * relation has in `current`, the same graph fetched from the database. Models without a
+ * pair are inserted and the current models that are missing from the graph are deleted.
+ * Models that have a `#dbRef` are related. Relations that the graph doesn't have are
+ * left as they are.
+ *
+ * `owner` is the model whose `$relatedQuery` writes the relation: the current model if
+ * there is one and otherwise the model of the graph that is inserted. The writes of a
+ * relation always come after the writes of its owner.
+ *
+ * @param {Model} model
+ *    The root model of the graph.
+ * @param {Model=} current
+ *    The root model fetched with the relations of the graph or null if it is inserted.
+ * @returns {Array.<{relation: Relation, owner: Model, inserts: Array.<Model>, updates: Array.<Model>, deletes: Array.<Model>, relates: Array.<Model>}>}
+ */
+function diff(model, current) {
+  var writes = [];
+
+  (function visit(model, current) {
+    var owner = current || model;
+
+    _.each(model.constructor.getRelations(), function (relation, name) {
+      if (model[name] === undefined) {
+        return;
+      }
+
+      var currentById = _.keyBy(_.compact(_.castArray(current ? current[name] : null)), idKey);
+      var inputModels = _.compact(_.castArray(model[name]));
+      var write = {relation: relation, owner: owner, inserts: [], updates: [], deletes: [], relates: []};
+
+      _.each(inputModels, function (inputModel) {
+        if (_.has(inputModel, '#dbRef')) {
+          write.relates.push(inputModel);
+        } else if (currentById[idKey(inputModel)]) {
+          write.updates.push(inputModel);
+        } else {
+          write.inserts.push(inputModel);
+        }
+      });
+
+      write.deletes = _.reject(_.values(currentById), function (currentModel) {
+        return _.some(write.updates, function (update) {
+          return idKey(update) === idKey(currentModel);
+        });
+      });
+
+      writes.push(write);
+
+      _.each(write.updates, function (update) {
+        visit(update, currentById[idKey(update)]);
+      });
+
+      _.each(write.inserts, function (insert) {
+        visit(insert, null);
+      });
+    });
+  })(model, current);
+
+  return writes;
+}
+
+/**
+ * @private
+ */
+function idKey(model) {
+  var id = model.$id();
+  return _.some(_.castArray(id), _.isNil) ? null : utils.formatId(id);
+}
+
+module.exports = {
+  diff: diff
+};
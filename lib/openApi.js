@@ -0,0 +1,780 @@
+'use strict';
+
+var _ = require('lodash');
+var utils = require('./utils');
+var bulk = require('./bulk');
+var aggregates = require('./aggregates');
+var cursorPagination = require('./cursorPagination');
+var sparseFieldsets = require('./sparseFieldsets');
+var softDelete = require('./softDelete');
+var search = require('./search');
+
+/**
+ * JSON schema keywords that have no counterpart in OpenAPI 3 schema objects.
+ *
+ * @type {Array.<string>}
+ */
+var UNSUPPORTED_KEYWORDS = ['$schema', '$id', 'id', 'definitions', 'patternProperties', 'dependencies', 'const'];
+
+/**
+ * Builds an OpenAPI 3 document that describes the routes of a `RestApiGenerator`.
+ *
+ * Model schemas are created from the models' `jsonSchema`s and the query parameters
+ * from the objection-find query builders of the models. Excluded routes are left out.
+ *
+ * ```js
+ * var doc = restApiGenerator.openApi({
+ *   info: {title: 'My API', version: '1.0.0'},
+ *   servers: [{url: 'https://example.com'}]
+ * });
+ * ```
+ *
+ * @param {RestApiGenerator} generator
+ * @param {Object=} options
+ * @returns {Object}
+ */
+module.exports = function openApi(generator, options) {
+  options = options || {};
+
+  var doc = {
+    openapi: '3.0.0',
+    info: _.assign({title: 'REST API', version: '1.0.0'}, options.info),
+    paths: {},
+    components: {
+      schemas: {}
+    }
+  };
+
+  if (options.servers) {
+    doc.servers = options.servers;
+  }
+
+  _.each(generator._routes(), function (route) {
+    if (route.method === 'OPTIONS') {
+      // OPTIONS routes only tell which of the described methods exist.
+      return;
+    }
+
+    var path = route.path.replace(/:(\w+)/g, '{$1}');
+    var operation = route.operation === 'batch' ? batchOperation() : buildOperation(generator, doc, route);
+    serializeContent(generator, route, operation);
+
+    doc.paths[path] = doc.paths[path] || {};
+    doc.paths[path][route.method.toLowerCase()] = operation;
+  });
+
+  return doc;
+};
+
+/**
+ * @private
+ */
+function buildOperation(generator, doc, route) {
+  var modelClass = route.modelClass;
+  var relation = route.relation;
+  var targetClass = relation ? relation.relatedModelClass : modelClass;
+  var findQuery = generator._findQueries[targetClass.tableName];
+  var targetOptions = generator._modelOptions(targetClass);
+  var schemaRef = modelSchemaRef(doc, targetClass, targetOptions);
+  var parameters = pathParameters(route.path);
+  var operation = {
+    tags: [schemaName(modelClass)],
+    operationId: _.camelCase([route.operation, schemaName(modelClass), relation ? relation.name : ''].join(' '))
+  };
+
+  switch (route.operation) {
+    case 'find':
+    case 'head':
+      parameters.push(eagerParameter(findQuery), fieldsParameter());
+      break;
+
+    case 'create':
+    case 'update':
+    case 'patch':
+    case 'relationCreate':
+    case 'relate':
+    case 'restore':
+      parameters.push(eagerParameter(findQuery));
+      break;
+
+    case 'findAll':
+    case 'relationFindAll':
+      parameters = parameters.concat(findQueryParameters(findQuery, targetOptions));
+      break;
+
+    case 'patchAll':
+    case 'count':
+    case 'relationCount':
+    case 'getCount':
+    case 'relationGetCount':
+      parameters.push(filterParameter(findQuery));
+      break;
+
+    case 'aggregate':
+    case 'relationAggregate':
+      parameters.push(filterParameter(findQuery), aggregateParameter(targetOptions), groupByParameter(targetOptions));
+      break;
+
+    case 'deleteAll':
+      parameters.push(filterParameter(findQuery), idsParameter());
+      break;
+  }
+
+  switch (route.operation) {
+    case 'create':
+      operation.requestBody = jsonBody(oneOrMany(requestSchema(doc, targetClass, targetOptions, ['create'])));
+      break;
+
+    case 'relationCreate':
+      operation.requestBody = jsonBody(requestSchema(doc, targetClass, targetOptions, ['create']));
+      break;
+
+    case 'update':
+      operation.requestBody = jsonBody(requestSchema(doc, targetClass, targetOptions, ['update']));
+      break;
+
+    case 'patch':
+      operation.requestBody = jsonBody(partialSchema(targetClass, targetOptions));
+      break;
+
+    case 'patchAll':
+      operation.requestBody = jsonBody(oneOrMany(partialSchema(targetClass, targetOptions)));
+      break;
+
+    case 'relationUpdateAll':
+      // The models of the body are inserted or updated and identified by their ids.
+      operation.requestBody = jsonBody({
+        type: 'array',
+        items: requestSchema(doc, targetClass, targetOptions, ['create', 'update'], targetClass.getIdPropertyArray())
+      });
+      break;
+  }
+
+  switch (route.operation) {
+    case 'create':
+      operation.responses = createdResponse(oneOrMany(schemaRef));
+      break;
+
+    case 'relationCreate':
+      operation.responses = createdResponse(schemaRef);
+      break;
+
+    case 'findAll':
+      operation.responses = okResponse(collectionSchema(schemaRef, targetOptions));
+      break;
+
+    case 'relationFindAll':
+      if (relation instanceof modelClass.BelongsToOneRelation) {
+        operation.responses = okResponse(schemaRef);
+      } else {
+        operation.responses = okResponse(collectionSchema(schemaRef, targetOptions));
+      }
+      break;
+
+    case 'relationUpdateAll':
+      operation.responses = okResponse({type: 'array', items: schemaRef});
+      break;
+
+    case 'patchAll':
+    case 'deleteAll':
+      operation.responses = okResponse(bulkResultSchema(schemaRef));
+      break;
+
+    case 'delete':
+    case 'relationDeleteAll':
+    case 'unrelate':
+      operation.responses = {'204': {description: 'No content'}};
+      break;
+
+    case 'getCount':
+    case 'relationGetCount':
+      operation.responses = okResponse({type: 'object', properties: {total: {type: 'integer'}}});
+      break;
+
+    case 'aggregate':
+    case 'relationAggregate':
+      operation.responses = okResponse({type: 'array', items: {type: 'object'}});
+      break;
+
+    case 'count':
+    case 'relationCount':
+      operation.responses = {'200': {description: 'OK', headers: {'X-Total-Count': {schema: {type: 'integer'}}}}};
+      break;
+
+    case 'head':
+      operation.responses = {'200': {description: 'OK'}};
+      break;
+
+    default:
+      operation.responses = okResponse(schemaRef);
+  }
+
+  if (_.some(parameters, {in: 'path'})) {
+    operation.responses['404'] = {description: 'Not found'};
+  }
+
+  switch (route.operation) {
+    case 'find':
+    case 'findAll':
+    case 'relationFindAll':
+    case 'head':
+    case 'count':
+    case 'relationCount':
+    case 'getCount':
+    case 'relationGetCount':
+    case 'aggregate':
+    case 'relationAggregate':
+      if (softDelete.options(targetOptions)) {
+        parameters.push(withDeletedParameter());
+      }
+      break;
+  }
+
+  switch (route.operation) {
+    case 'findAll':
+    case 'relationFindAll':
+    case 'count':
+    case 'relationCount':
+    case 'getCount':
+    case 'relationGetCount':
+    case 'aggregate':
+    case 'relationAggregate':
+      if (search.options(targetOptions)) {
+        parameters.push(searchParameter(search.options(targetOptions)));
+      }
+      break;
+  }
+
+  switch (route.operation) {
+    case 'find':
+    case 'head':
+      parameters.push(etagParameter('If-None-Match'));
+      operation.responses['200'].headers = {ETag: {schema: {type: 'string'}}};
+      operation.responses['304'] = {description: 'Not modified'};
+      break;
+
+    case 'update':
+    case 'patch':
+    case 'delete':
+      parameters.push(etagParameter('If-Match'));
+      operation.responses['412'] = {description: 'Precondition failed'};
+      break;
+  }
+
+  if (!_.isEmpty(parameters)) {
+    operation.parameters = parameters;
+  }
+
+  return operation;
+}
+
+/**
+ * @private
+ */
+function batchOperation() {
+  return {
+    tags: ['Batch'],
+    operationId: 'batch',
+    description: 'Executes the operations in one transaction. Strings of the later operations '
+      + 'can reference the results of the earlier ones using `@{<index or ref>.<path>}`.',
+    requestBody: jsonBody({
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['method', 'path'],
+        properties: {
+          method: {type: 'string'},
+          path: {type: 'string'},
+          query: {type: 'object', additionalProperties: {type: 'string'}},
+          headers: {type: 'object', additionalProperties: {type: 'string'}},
+          body: {},
+          ref: {type: 'string'}
+        }
+      }
+    }),
+    responses: okResponse({
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          status: {type: 'integer'},
+          headers: {type: 'object', additionalProperties: {type: 'string'}},
+          body: {}
+        }
+      }
+    })
+  };
+}
+
+/**
+ * Describes the bodies of an operation in the format of the generator's serializer. The
+ * serializer's `contentType` replaces `application/json` and its `openApiSchema`, if it
+ * has one, converts the schemas of the plain JSON bodies.
+ *
+ * @private
+ */
+function serializeContent(generator, route, operation) {
+  var serializer = generator._serializer;
+  var contentType = serializer.contentType || 'application/json';
+  var relation = route.relation || null;
+  var context = {
+    operation: route.operation,
+    modelClass: relation ? relation.relatedModelClass : (route.modelClass || null),
+    relation: relation,
+    type: function (modelClass) {
+      return generator._resourceName(modelClass);
+    }
+  };
+
+  function convert(body, request) {
+    if (!body || !body.content) {
+      return;
+    }
+
+    var schema = body.content['application/json'].schema;
+
+    if (serializer.openApiSchema) {
+      schema = serializer.openApiSchema(schema, _.assign({request: request}, context));
+    }
+
+    body.content = {};
+    body.content[contentType] = {schema: schema};
+  }
+
+  convert(operation.requestBody, true);
+
+  _.each(operation.responses, function (response) {
+    convert(response, false);
+  });
+}
+
+/**
+ * @private
+ */
+function schemaName(modelClass) {
+  return _.upperFirst(_.camelCase(modelClass.name || modelClass.tableName));
+}
+
+/**
+ * Adds the model's schema to `components.schemas` if it is not there yet
+ * and returns a reference to it. The schema describes the models of the responses
+ * so it only has the `readableFields`, if given, and never the `hiddenFields`.
+ *
+ * @private
+ */
+function modelSchemaRef(doc, modelClass, options) {
+  var name = schemaName(modelClass);
+
+  if (!doc.components.schemas[name]) {
+    doc.components.schemas[name] = modelSchema(modelClass, function (propertyName) {
+      return (!options.readableFields || _.includes(options.readableFields, propertyName))
+        && !_.includes(options.hiddenFields, propertyName);
+    });
+  }
+
+  return {$ref: '#/components/schemas/' + name};
+}
+
+/**
+ * Schema for POST and PUT bodies. Only has the `writableFields` of the given write
+ * operations and never the `readOnlyFields`. `idProperties` are kept regardless.
+ * The model's schema is referenced if it is the same.
+ *
+ * @private
+ */
+function requestSchema(doc, modelClass, options, writeOperations, idProperties) {
+  var schemaRef = modelSchemaRef(doc, modelClass, options);
+  var schema = writableSchema(modelClass, options, writeOperations, idProperties);
+
+  return _.isEqual(schema, doc.components.schemas[schemaName(modelClass)]) ? schemaRef : schema;
+}
+
+/**
+ * Schema for PATCH bodies. Same as the `update` request schema but nothing is required.
+ *
+ * @private
+ */
+function partialSchema(modelClass, options) {
+  return _.omit(writableSchema(modelClass, options, ['update']), 'required');
+}
+
+/**
+ * @private
+ */
+function writableSchema(modelClass, options, writeOperations, idProperties) {
+  var writableFields = options.writableFields;
+
+  if (_.isPlainObject(writableFields)) {
+    writableFields = _.some(writeOperations, function (operation) {
+      return !writableFields[operation];
+    }) ? null : _.flatMap(writeOperations, function (operation) {
+      return writableFields[operation];
+    });
+  }
+
+  return modelSchema(modelClass, function (propertyName) {
+    if (_.includes(idProperties, propertyName)) {
+      return true;
+    }
+
+    return (!writableFields || _.includes(writableFields, propertyName))
+      && !_.includes(options.readOnlyFields, propertyName);
+  });
+}
+
+/**
+ * Converts the model's `jsonSchema` into an OpenAPI schema with only the properties
+ * for which `filter` returns true.
+ *
+ * @private
+ */
+function modelSchema(modelClass, filter) {
+  var schema = modelClass.jsonSchema || {type: 'object'};
+
+  if (schema.properties) {
+    var properties = _.pickBy(schema.properties, function (propertySchema, propertyName) {
+      return filter(propertyName);
+    });
+
+    schema = _.omitBy(_.assign({}, schema, {
+      properties: properties,
+      required: _.intersection(schema.required, _.keys(properties))
+    }), function (value, key) {
+      return key === 'required' && _.isEmpty(value);
+    });
+  }
+
+  return toOpenApiSchema(schema);
+}
+
+/**
+ * Collection routes return an array, or `{total, results}` if a range is requested
+ * or the model has a page size. In cursor pagination mode they return
+ * `{results, nextCursor}`.
+ *
+ * @private
+ */
+function collectionSchema(schemaRef, options) {
+  var resultsSchema = {type: 'array', items: schemaRef};
+
+  if (options.cursorPagination) {
+    return {
+      type: 'object',
+      properties: {
+        results: resultsSchema,
+        nextCursor: {type: 'string', nullable: true}
+      }
+    };
+  }
+
+  var pageSchema = {
+    type: 'object',
+    properties: {
+      total: {type: 'integer'},
+      results: resultsSchema
+    }
+  };
+
+  if (options.defaultPageSize || options.maxPageSize) {
+    return pageSchema;
+  }
+
+  return {
+    oneOf: [resultsSchema, pageSchema]
+  };
+}
+
+/**
+ * Routes that take an array body for bulk operations.
+ *
+ * @private
+ */
+function oneOrMany(schema) {
+  return {
+    oneOf: [schema, {type: 'array', items: schema}]
+  };
+}
+
+/**
+ * `PATCH` and `DELETE` of a collection return `{total}`. Bulk operations by
+ * id also return the affected models and the ids that were not found.
+ *
+ * @private
+ */
+function bulkResultSchema(schemaRef) {
+  return {
+    type: 'object',
+    properties: {
+      total: {type: 'integer'},
+      results: {type: 'array', items: schemaRef},
+      notFound: {type: 'array', items: {type: 'string'}}
+    },
+    required: ['total']
+  };
+}
+
+/**
+ * @private
+ */
+function jsonBody(schema) {
+  return {
+    required: true,
+    content: {
+      'application/json': {schema: schema}
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function okResponse(schema) {
+  return {
+    '200': {
+      description: 'OK',
+      content: {
+        'application/json': {schema: schema}
+      }
+    }
+  };
+}
+
+/**
+ * A 201 response. The `Location` header is the path of the created model.
+ *
+ * @private
+ */
+function createdResponse(schema) {
+  return {
+    '201': {
+      description: 'Created',
+      headers: {
+        Location: {schema: {type: 'string'}}
+      },
+      content: {
+        'application/json': {schema: schema}
+      }
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function pathParameters(path) {
+  return _.map(path.match(/:\w+/g), function (param) {
+    return {
+      name: param.substring(1),
+      in: 'path',
+      required: true,
+      description: 'The values of composite ids are separated by commas.',
+      schema: {type: 'string'}
+    };
+  });
+}
+
+/**
+ * @private
+ */
+function eagerParameter(findQuery) {
+  return {
+    name: utils.specialParameterName(findQuery, 'eager'),
+    in: 'query',
+    description: 'Relations to fetch eagerly. An objection.js relation expression.',
+    schema: {type: 'string'}
+  };
+}
+
+/**
+ * @private
+ */
+function withDeletedParameter() {
+  return {
+    name: softDelete.WITH_DELETED_PARAMETER,
+    in: 'query',
+    description: 'Include soft deleted models if `true`.',
+    schema: {type: 'boolean'}
+  };
+}
+
+/**
+ * @private
+ */
+function searchParameter(searchOptions) {
+  return {
+    name: search.SEARCH_PARAMETER,
+    in: 'query',
+    description: 'Full-text search. Every word must be found in one of the fields: '
+      + searchOptions.columns.join(', ') + '.',
+    schema: {type: 'string'}
+  };
+}
+
+/**
+ * @private
+ */
+function etagParameter(name) {
+  return {
+    name: name,
+    in: 'header',
+    description: 'ETag of the model from an earlier response.',
+    schema: {type: 'string'}
+  };
+}
+
+/**
+ * @private
+ */
+function fieldsParameter() {
+  return {
+    name: sparseFieldsets.FIELDS_PARAMETER,
+    in: 'query',
+    description: 'Comma separated list of fields to return. Fields of eagerly loaded relations '
+      + 'are given using `fields[relationPath]`.',
+    schema: {type: 'string'}
+  };
+}
+
+/**
+ * @private
+ */
+function idsParameter() {
+  return {
+    name: bulk.IDS_PARAMETER,
+    in: 'query',
+    description: 'Comma separated ids of the models to delete. Composite ids are given '
+      + 'using a parameter for each id.',
+    schema: {type: 'string'}
+  };
+}
+
+/**
+ * @private
+ */
+function aggregateParameter(options) {
+  return {
+    name: aggregates.AGGREGATE_PARAMETER,
+    in: 'query',
+    description: 'Comma separated aggregates of form `<function>:<property>` or `count`. '
+      + 'Functions: count, sum, avg, min, max. '
+      + 'Aggregatable fields: ' + (_.join(options.aggregateFields, ', ') || 'none') + '.',
+    schema: {type: 'string'}
+  };
+}
+
+/**
+ * @private
+ */
+function groupByParameter(options) {
+  return {
+    name: aggregates.GROUP_BY_PARAMETER,
+    in: 'query',
+    description: 'Comma separated properties to group by. '
+      + 'Groupable fields: ' + (_.join(options.groupByFields, ', ') || 'none') + '.',
+    schema: {type: 'string'}
+  };
+}
+
+/**
+ * @private
+ */
+function filterParameter(findQuery) {
+  return {
+    name: 'filters',
+    in: 'query',
+    style: 'form',
+    explode: true,
+    description: 'objection-find filters of form `<propertyRef>:<filter>=<value>`. '
+      + 'Available filters: ' + _.keys(findQuery._filters).join(', ') + '.',
+    schema: {
+      type: 'object',
+      additionalProperties: {type: 'string'}
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function findQueryParameters(findQuery, options) {
+  var parameters = [filterParameter(findQuery), eagerParameter(findQuery), fieldsParameter()];
+
+  _.each(['orderBy', 'orderByAsc', 'orderByDesc'], function (name) {
+    parameters.push({
+      name: utils.specialParameterName(findQuery, name),
+      in: 'query',
+      description: 'Property to sort the result by.',
+      schema: {type: 'string'}
+    });
+  });
+
+  if (options.cursorPagination) {
+    parameters.push({
+      name: cursorPagination.CURSOR_PARAMETER,
+      in: 'query',
+      description: 'The `nextCursor` of the previous page.',
+      schema: {type: 'string'}
+    }, {
+      name: cursorPagination.LIMIT_PARAMETER,
+      in: 'query',
+      description: 'Page size.',
+      schema: {type: 'integer', minimum: 1}
+    });
+  } else {
+    _.each(['rangeStart', 'rangeEnd'], function (name) {
+      parameters.push({
+        name: utils.specialParameterName(findQuery, name),
+        in: 'query',
+        description: 'Result range. If given, the result is `{total, results}`.',
+        schema: {type: 'integer', minimum: 0}
+      });
+    });
+  }
+
+  return parameters;
+}
+
+/**
+ * Converts a JSON schema into an OpenAPI 3 schema object.
+ *
+ * The biggest difference is that OpenAPI 3 doesn't allow arrays as `type`. Types like
+ * `['string', 'null']` are converted into `nullable` and other type arrays into `oneOf`.
+ *
+ * @private
+ */
+function toOpenApiSchema(schema) {
+  if (!_.isPlainObject(schema)) {
+    return schema;
+  }
+
+  var result = _.mapValues(_.omit(schema, UNSUPPORTED_KEYWORDS), function (value, key) {
+    if (key === 'properties') {
+      return _.mapValues(value, toOpenApiSchema);
+    } else if (key === 'allOf' || key === 'anyOf' || key === 'oneOf') {
+      return _.map(value, toOpenApiSchema);
+    } else if (key === 'items' || key === 'additionalProperties' || key === 'not') {
+      return _.isArray(value) ? _.map(value, toOpenApiSchema) : toOpenApiSchema(value);
+    } else {
+      return value;
+    }
+  });
+
+  if (_.isArray(result.type)) {
+    var types = _.without(result.type, 'null');
+
+    if (types.length !== result.type.length) {
+      result.nullable = true;
+    }
+
+    if (types.length === 1) {
+      result.type = types[0];
+    } else {
+      delete result.type;
+      result.oneOf = _.map(types, function (type) {
+        return {type: type};
+      });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,222 @@
+'use strict';
+
+var _ = require('lodash');
+var HttpError = require('./HttpError');
+
+/**
+ * Query parameter that holds the full-text search.
+ *
+ * @type {string}
+ */
+var SEARCH_PARAMETER = 'q';
+
+/**
+ * Characters that are operators in MySQL boolean mode searches.
+ *
+ * @type {RegExp}
+ */
+var MYSQL_OPERATORS = /[+\-<>()~*"@]/g;
+
+/**
+ * Normalizes the `search` option of a model. The option is either a list of the
+ * searched properties or an object `{columns, weights, language}`. `weights` maps
+ * properties to numbers that multiply their relevance. The default weight is 1.
+ *
+ * Returns null if the model can't be searched.
+ *
+ * @param {Object} modelOptions
+ *    Options given to `addModel` for the model class.
+ * @returns {{columns: Array.<string>, weights: Object.<string, number>, language: string}}
+ */
+function options(modelOptions) {
+  var search = modelOptions.search;
+
+  if (!search) {
+    return null;
+  }
+
+  if (_.isArray(search)) {
+    search = {columns: search};
+  }
+
+  return {
+    columns: search.columns,
+    weights: _.zipObject(search.columns, _.map(search.columns, function (column) {
+      return _.get(search.weights, column, 1);
+    })),
+    language: search.language || null
+  };
+}
+
+/**
+ * Returns the `q` parameter of a request or null if it is missing or empty.
+ *
+ * @param {Object} query
+ * @returns {string}
+ */
+function parse(query) {
+  var q = _.trim(_.castArray(query[SEARCH_PARAMETER] || '').join(' '));
+  return q || null;
+}
+
+/**
+ * Filters `builder` by the `q` parameter of `query`. Every word of `q` must be found
+ * in at least one of the searched columns. With `rank` the results are also ordered
+ * by relevance.
+ *
+ * The search is done using the database of the knex client in use:
+ *
+ * | Client           | Search                                                         |
+ * |------------------|----------------------------------------------------------------|
+ * | `postgresql`     | `to_tsvector` of each column matched with `plainto_tsquery`.   |
+ * | `mysql`          | `MATCH ... AGAINST`. Each column needs a `FULLTEXT` index.     |
+ * | others           | `LIKE '%word%'`. Relevance is the weight of the matches.       |
+ *
+ * Throws 400 if the query has the `q` parameter but the model can't be searched.
+ *
+ * @param {QueryBuilder} builder
+ * @param {Model} modelClass
+ * @param {Object} searchOptions
+ *    Options returned by `options`.
+ * @param {Object} query
+ * @param {boolean} rank
+ * @returns {QueryBuilder}
+ */
+function apply(builder, modelClass, searchOptions, query, rank) {
+  var q = parse(query);
+
+  if (q === null) {
+    return builder;
+  }
+
+  if (!searchOptions) {
+    throw new HttpError(400, 'InvalidQuery', 'Invalid ' + SEARCH_PARAMETER + ' parameter', _.set({}, SEARCH_PARAMETER, [{
+      message: modelClass.name + ' can\'t be searched',
+      keyword: SEARCH_PARAMETER
+    }]));
+  }
+
+  var columns = _.map(searchOptions.columns, function (property) {
+    return {
+      ref: modelClass.tableName + '.' + modelClass.propertyNameToColumnName(property),
+      weight: searchOptions.weights[property]
+    };
+  });
+
+  switch (builder.knex().client.dialect) {
+    case 'postgresql':
+      return postgres(builder, columns, q, searchOptions.language, rank);
+
+    case 'mysql':
+    case 'mariadb':
+      return mysql(builder, columns, q, rank);
+
+    default:
+      return like(builder, columns, q, rank);
+  }
+}
+
+/**
+ * Returns `query` without the `q` parameter.
+ *
+ * @param {Object} query
+ * @returns {Object}
+ */
+function omit(query) {
+  return _.omit(query, SEARCH_PARAMETER);
+}
+
+/**
+ * @private
+ */
+function postgres(builder, columns, q, language, rank) {
+  var config = language ? '?::regconfig, ' : '';
+  var configBindings = language ? [language] : [];
+  var tsquery = 'plainto_tsquery(' + config + '?)';
+  var tsqueryBindings = configBindings.concat(q);
+  var tsvector = 'to_tsvector(' + config + 'coalesce(??, \'\'))';
+
+  builder.whereRaw('(' + _.map(columns, _.constant(tsvector)).join(' || ') + ') @@ ' + tsquery, _.flatMap(columns, function (column) {
+    return configBindings.concat(column.ref);
+  }).concat(tsqueryBindings));
+
+  if (rank) {
+    builder.orderByRaw(_.map(columns, function () {
+      return '? * ts_rank(' + tsvector + ', ' + tsquery + ')';
+    }).join(' + ') + ' desc', _.flatMap(columns, function (column) {
+      return [column.weight].concat(configBindings, column.ref, tsqueryBindings);
+    }));
+  }
+
+  return builder;
+}
+
+/**
+ * @private
+ */
+function mysql(builder, columns, q, rank) {
+  var words = _.words(q.replace(MYSQL_OPERATORS, ' '), /\S+/g);
+
+  if (_.isEmpty(words)) {
+    return builder.whereRaw('1 = 0');
+  }
+
+  _.each(words, function (word) {
+    builder.where(function (builder) {
+      _.each(columns, function (column) {
+        builder.orWhereRaw('match(??) against(? in boolean mode)', [column.ref, word]);
+      });
+    });
+  });
+
+  if (rank) {
+    builder.orderByRaw(_.map(columns, function () {
+      return '? * match(??) against(? in natural language mode)';
+    }).join(' + ') + ' desc', _.flatMap(columns, function (column) {
+      return [column.weight, column.ref, words.join(' ')];
+    }));
+  }
+
+  return builder;
+}
+
+/**
+ * @private
+ */
+function like(builder, columns, q, rank) {
+  var patterns = _.map(_.words(q, /\S+/g), function (word) {
+    return '%' + word.replace(/[\\%_]/g, '\\$&') + '%';
+  });
+
+  _.each(patterns, function (pattern) {
+    builder.where(function (builder) {
+      _.each(columns, function (column) {
+        builder.orWhereRaw('?? like ? escape \'\\\'', [column.ref, pattern]);
+      });
+    });
+  });
+
+  if (rank) {
+    var matches = _.flatMap(patterns, function (pattern) {
+      return _.map(columns, function (column) {
+        return {column: column, pattern: pattern};
+      });
+    });
+
+    builder.orderByRaw(_.map(matches, function () {
+      return '(case when ?? like ? escape \'\\\' then ? else 0 end)';
+    }).join(' + ') + ' desc', _.flatMap(matches, function (match) {
+      return [match.column.ref, match.pattern, match.column.weight];
+    }));
+  }
+
+  return builder;
+}
+
+module.exports = {
+  options: options,
+  parse: parse,
+  apply: apply,
+  omit: omit,
+  SEARCH_PARAMETER: SEARCH_PARAMETER
+};
@@ -0,0 +1,425 @@
+'use strict';
+
+var _ = require('lodash');
+var utils = require('../utils');
+var HttpError = require('../HttpError');
+
+/**
+ * Operations whose request body is a JSON:API document.
+ *
+ * @type {Array.<string>}
+ */
+var BODY_OPERATIONS = ['create', 'update', 'patch', 'patchAll', 'relationCreate', 'relationUpdateAll'];
+
+/**
+ * A serializer for JSON:API (http://jsonapi.org) clients like Ember Data.
+ *
+ * ```js
+ * restApiGenerator
+ *   .serializer(ObjectionRest.serializers.jsonApi)
+ *   .errorFormatter(ObjectionRest.serializers.jsonApi.formatError);
+ * ```
+ *
+ * Models are responded as resource objects `{type, id, attributes, relationships, links}`
+ * in the `data` of the document. `type` is the name of the model's route like `persons`
+ * and composite ids are joined by commas. Eagerly loaded relations are resource
+ * linkages in `relationships` and the related resources are in `included`. Each
+ * relation that has a `GET` route has a `related` link to it.
+ *
+ * Responses like `{total, results}` have the results in `data` and the rest in `meta`.
+ * Counts are responded as `{meta: {total}}` and aggregates as `{meta: {aggregates}}`.
+ *
+ * `POST`, `PUT` and `PATCH` bodies must be documents whose `data` is a resource object
+ * of the route's model or an array of them. Belongs to one relationships set the
+ * foreign keys of the model. Other relationships can't be written.
+ */
+var jsonApiSerializer = {
+  /**
+   * @type {string}
+   */
+  contentType: 'application/vnd.api+json',
+
+  /**
+   * @param {*} result
+   *    The result of a route handler.
+   * @param {Object} context
+   *    See `RestApiGenerator.serializer`.
+   * @returns {Object}
+   */
+  serialize: function (result, context) {
+    if (!context.modelClass) {
+      return result;
+    }
+
+    if (context.operation === 'aggregate' || context.operation === 'relationAggregate') {
+      return {meta: {aggregates: result}};
+    }
+
+    var document;
+    var included = {resources: [], keys: {}};
+
+    if (isData(result, context)) {
+      document = {data: data(result, context, included)};
+    } else if (_.isPlainObject(result) && isData(result.results, context)) {
+      document = {data: data(result.results, context, included), meta: _.omit(result, 'results')};
+    } else {
+      document = {meta: result};
+    }
+
+    if (included.resources.length) {
+      document.included = included.resources;
+    }
+
+    return document;
+  },
+
+  /**
+   * @param {*} body
+   *    The request body.
+   * @param {Object} context
+   *    See `RestApiGenerator.serializer`.
+   * @returns {Object|Array.<Object>}
+   */
+  deserialize: function (body, context) {
+    if (!context.modelClass || !_.includes(BODY_OPERATIONS, context.operation)) {
+      return body;
+    }
+
+    if (!_.isPlainObject(body) || !_.has(body, 'data')) {
+      throw new HttpError(400, 'InvalidDocument', 'Request body must be a JSON:API document with data');
+    }
+
+    if (_.isArray(body.data)) {
+      return _.map(body.data, function (data) {
+        return fromResource(data, context);
+      });
+    } else {
+      return fromResource(body.data, context);
+    }
+  },
+
+  /**
+   * Converts the schema of a request or response body in the `openApi()` document into
+   * the schema of the JSON:API document. The `attributes` of the resource objects are
+   * described by the schemas of the plain JSON models.
+   *
+   * @param {Object} schema
+   *    The OpenAPI schema of the plain JSON body.
+   * @param {Object} context
+   *    The `operation`, `modelClass`, `relation` and `type` of `RestApiGenerator.serializer`'s
+   *    context and `request` that tells if the schema is of a request body.
+   * @returns {Object}
+   */
+  openApiSchema: function (schema, context) {
+    if (!context.modelClass) {
+      return schema;
+    }
+
+    if (context.operation === 'aggregate' || context.operation === 'relationAggregate') {
+      return objectSchema({meta: objectSchema({aggregates: schema})});
+    }
+
+    if (context.operation === 'getCount' || context.operation === 'relationGetCount') {
+      return objectSchema({meta: schema});
+    }
+
+    return documentSchema(schema, context);
+  },
+
+  /**
+   * An `errorFormatter` that responds with a JSON:API error document. Each field error
+   * is an error object whose `source` points to the attribute or query parameter.
+   *
+   * @param {HttpError} err
+   * @returns {{errors: Array.<Object>}}
+   */
+  formatError: function (err) {
+    function errorObject(source, detail) {
+      return _.omitBy({
+        status: String(err.statusCode),
+        code: err.code,
+        title: err.message,
+        detail: detail,
+        source: source
+      }, _.isUndefined);
+    }
+
+    var errors = _.flatMap(err.errors, function (fieldErrors, field) {
+      var source = err.code === 'InvalidQuery'
+        ? {parameter: field}
+        : {pointer: '/data/attributes/' + field.replace(/\./g, '/')};
+
+      return _.map(fieldErrors, function (fieldError) {
+        return errorObject(source, fieldError.message);
+      });
+    });
+
+    return {errors: errors.length ? errors : [errorObject()]};
+  }
+};
+
+/**
+ * Converts the schema of a plain JSON body into the schema of a document. Arrays are
+ * primary data, objects with `results` pages and other schemas models.
+ *
+ * @private
+ */
+function documentSchema(schema, context) {
+  if (schema.oneOf) {
+    return {
+      oneOf: _.map(schema.oneOf, function (schema) {
+        return documentSchema(schema, context);
+      })
+    };
+  }
+
+  var properties;
+  var required = ['data'];
+
+  if (schema.type === 'array') {
+    properties = {data: {type: 'array', items: resourceSchema(schema.items, context)}};
+  } else if (schema.type === 'object' && schema.properties && schema.properties.results) {
+    properties = {
+      data: {type: 'array', items: resourceSchema(schema.properties.results.items, context)},
+      meta: objectSchema(_.omit(schema.properties, 'results'))
+    };
+
+    // `{total}` without results is responded as meta only.
+    required = [];
+  } else {
+    properties = {data: resourceSchema(schema, context)};
+  }
+
+  if (!context.request) {
+    properties.included = {type: 'array', items: {type: 'object'}};
+  }
+
+  return _.omitBy(_.assign(objectSchema(properties), {required: required}), _.isEmpty);
+}
+
+/**
+ * @private
+ */
+function resourceSchema(attributesSchema, context) {
+  var properties = {
+    type: {type: 'string', enum: [context.type(context.modelClass)]},
+    id: {type: 'string'},
+    attributes: attributesSchema,
+    relationships: {type: 'object'}
+  };
+
+  if (!context.request) {
+    properties.links = {type: 'object'};
+  }
+
+  return _.assign(objectSchema(properties), {required: context.request ? ['type'] : ['type', 'id']});
+}
+
+/**
+ * @private
+ */
+function objectSchema(properties) {
+  return {type: 'object', properties: properties};
+}
+
+/**
+ * Tests if a result is primary data: a model, an array of models or null.
+ *
+ * @private
+ */
+function isData(result, context) {
+  if (_.isArray(result)) {
+    return _.every(result, context.isModel);
+  } else {
+    return result === null || context.isModel(result);
+  }
+}
+
+/**
+ * Converts the primary data into resource objects. The primary resources are marked
+ * first so that they are not repeated in `included`.
+ *
+ * @private
+ */
+function data(result, context, included) {
+  _.each(_.compact(_.castArray(result)), function (model) {
+    included.keys[key(model, context)] = true;
+  });
+
+  if (_.isArray(result)) {
+    return _.map(result, function (model) {
+      return resource(model, context, '', included);
+    });
+  } else {
+    return result && resource(result, context, '', included);
+  }
+}
+
+/**
+ * @private
+ */
+function resource(model, context, path, included) {
+  var modelClass = model.constructor;
+  var relationships = {};
+
+  _.each(modelClass.getRelations(), function (relation, name) {
+    var relationship = {};
+    var related = context.relationUrl(model, relation);
+
+    if (related) {
+      relationship.links = {related: related};
+    }
+
+    if (model[name] !== undefined) {
+      relationship.data = linkage(model[name], context);
+      include(model[name], context, path ? path + '.' + name : name, included);
+    }
+
+    if (!_.isEmpty(relationship)) {
+      relationships[name] = relationship;
+    }
+  });
+
+  var json = {
+    type: context.type(modelClass),
+    id: utils.formatId(model.$id()),
+    attributes: _.omit(context.attributes(model, path), modelClass.getIdPropertyArray())
+  };
+
+  if (!_.isEmpty(relationships)) {
+    json.relationships = relationships;
+  }
+
+  var self = context.modelUrl(model);
+
+  if (self) {
+    json.links = {self: self};
+  }
+
+  return json;
+}
+
+/**
+ * Adds eagerly loaded models to `included` unless they are already in the document.
+ *
+ * @private
+ */
+function include(related, context, path, included) {
+  _.each(_.compact(_.castArray(related)), function (model) {
+    var modelKey = key(model, context);
+
+    if (!included.keys[modelKey]) {
+      included.keys[modelKey] = true;
+      included.resources.push(resource(model, context, path, included));
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function linkage(related, context) {
+  if (_.isArray(related)) {
+    return _.map(related, function (model) {
+      return linkage(model, context);
+    });
+  } else if (related) {
+    return {type: context.type(related.constructor), id: utils.formatId(related.$id())};
+  } else {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function key(model, context) {
+  return context.type(model.constructor) + ':' + utils.formatId(model.$id());
+}
+
+/**
+ * Converts a resource object of a request body into the JSON of a model.
+ *
+ * @private
+ */
+function fromResource(data, context) {
+  var modelClass = context.modelClass;
+  var type = context.type(modelClass);
+
+  if (!_.isPlainObject(data)) {
+    throw new HttpError(400, 'InvalidDocument', 'data must be a resource object');
+  }
+
+  if (data.type !== type) {
+    throw new HttpError(409, 'Conflict', 'Resource type must be "' + type + '"');
+  }
+
+  var json = _.clone(data.attributes) || {};
+
+  if (!_.isNil(data.id)) {
+    if (context.operation === 'update' || context.operation === 'patch') {
+      // The route identifies the resource. The id of the body only has to agree.
+      if (String(data.id) !== String(context.req.params.id)) {
+        throw new HttpError(409, 'Conflict', 'Resource id must match the id of the URL');
+      }
+    } else {
+      _.assign(json, idProperties(modelClass, data.id));
+    }
+  }
+
+  _.each(data.relationships, function (relationship, name) {
+    var relation = modelClass.getRelations()[name];
+
+    if (!relation || !(relation instanceof modelClass.BelongsToOneRelation) || !_.has(relationship, 'data')) {
+      throw new HttpError(400, 'InvalidDocument', 'Invalid relationships', _.set({}, name, [{
+        message: 'only the data of belongs to one relationships can be written',
+        keyword: 'relationships'
+      }]));
+    }
+
+    _.assign(json, foreignKeys(relation, relationship.data, context));
+  });
+
+  return json;
+}
+
+/**
+ * Returns the id properties of a model for an id of a resource object.
+ *
+ * @private
+ */
+function idProperties(modelClass, id) {
+  var values = utils.parseId(modelClass, id);
+
+  if (values === null) {
+    throw new HttpError(400, 'InvalidDocument', 'Invalid resource id "' + id + '"');
+  }
+
+  return _.zipObject(modelClass.getIdPropertyArray(), _.castArray(values));
+}
+
+/**
+ * Returns the foreign key properties that a belongs to one relationship's resource
+ * linkage sets.
+ *
+ * @private
+ */
+function foreignKeys(relation, linkage, context) {
+  var relatedModelClass = relation.relatedModelClass;
+  var relatedType = context.type(relatedModelClass);
+  var relatedIds = {};
+
+  if (linkage !== null) {
+    if (!_.isPlainObject(linkage) || linkage.type !== relatedType) {
+      throw new HttpError(409, 'Conflict', 'Resource type of ' + relation.name + ' must be "' + relatedType + '"');
+    }
+
+    relatedIds = idProperties(relatedModelClass, linkage.id);
+  }
+
+  return _.zipObject(relation.ownerProp, _.map(relation.relatedProp, function (prop) {
+    return linkage === null ? null : relatedIds[prop];
+  }));
+}
+
+module.exports = jsonApiSerializer;
@@ -0,0 +1,61 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * The default serializer. Responds with the models as plain JSON and passes request
+ * bodies to the routes as is.
+ *
+ * Eagerly loaded relations are nested in the models and responses like `{total, results}`
+ * keep their shape.
+ */
+var jsonSerializer = {
+  /**
+   * @param {*} result
+   *    The result of a route handler.
+   * @param {Object} context
+   *    See `RestApiGenerator.serializer`.
+   * @returns {*}
+   */
+  serialize: function (result, context) {
+    return toJson(result, context, '');
+  },
+
+  /**
+   * @param {*} body
+   * @returns {*}
+   */
+  deserialize: function (body) {
+    return body;
+  }
+};
+
+/**
+ * @private
+ */
+function toJson(result, context, path) {
+  if (context.isModel(result)) {
+    var json = context.attributes(result, path);
+
+    _.each(result.constructor.getRelations(), function (relation, name) {
+      if (result[name] !== undefined) {
+        json[name] = toJson(result[name], context, path ? path + '.' + name : name);
+      }
+    });
+
+    return json;
+  } else if (_.isArray(result)) {
+    return _.map(result, function (item) {
+      return toJson(item, context, path);
+    });
+  } else if (_.isPlainObject(result)) {
+    // Responses like `{total, results}`.
+    return _.mapValues(result, function (value) {
+      return toJson(value, context, path);
+    });
+  } else {
+    return result;
+  }
+}
+
+module.exports = jsonSerializer;
@@ -0,0 +1,129 @@
+'use strict';
+
+var _ = require('lodash');
+var HttpError = require('./HttpError');
+
+/**
+ * Query parameter that includes soft deleted models in the results.
+ *
+ * @type {string}
+ */
+var WITH_DELETED_PARAMETER = 'withDeleted';
+
+/**
+ * Normalizes the `softDelete` option of a model. The option is either the name of
+ * the column or an object `{column, allowWithDeleted}`.
+ *
+ * Returns null if the model is not in soft delete mode.
+ *
+ * @param {Object} modelOptions
+ *    Options given to `addModel` for the model class.
+ * @returns {{column: string, allowWithDeleted: function(RequestContext):boolean}}
+ */
+function options(modelOptions) {
+  var softDelete = modelOptions.softDelete;
+
+  if (!softDelete) {
+    return null;
+  }
+
+  if (_.isString(softDelete)) {
+    softDelete = {column: softDelete};
+  }
+
+  return {
+    column: softDelete.column || 'deletedAt',
+    allowWithDeleted: softDelete.allowWithDeleted || _.constant(false)
+  };
+}
+
+/**
+ * Tests if the request asks for soft deleted models using `withDeleted=true`.
+ *
+ * Throws 403 if the request asks for them but `allowWithDeleted` doesn't allow it.
+ *
+ * @param {Object} softDeleteOptions
+ *    Options returned by `options`.
+ * @param {RequestContext} req
+ * @returns {boolean}
+ */
+function withDeleted(softDeleteOptions, req) {
+  if (String(req.query[WITH_DELETED_PARAMETER]) !== 'true') {
+    return false;
+  }
+
+  if (!softDeleteOptions.allowWithDeleted(req)) {
+    throw new HttpError(403, 'Forbidden', WITH_DELETED_PARAMETER + ' is not allowed');
+  }
+
+  return true;
+}
+
+/**
+ * Hides the soft deleted models of `modelClass` from `builder`.
+ *
+ * @param {QueryBuilder} builder
+ * @param {Model} modelClass
+ * @param {Object} softDeleteOptions
+ * @returns {QueryBuilder}
+ */
+function exclude(builder, modelClass, softDeleteOptions) {
+  return builder.whereNull(modelClass.tableName + '.' + softDeleteOptions.column);
+}
+
+/**
+ * Hides the soft deleted models of the relations in an eager expression using
+ * `modifyEager`. Relations that `modelClass` doesn't have are ignored.
+ *
+ * @param {QueryBuilder} builder
+ * @param {Model} modelClass
+ * @param {RelationExpression} expression
+ * @param {RequestContext} req
+ * @param {function(Model):Object} modelOptions
+ *    Returns the options given to `addModel` for a model class.
+ * @returns {QueryBuilder}
+ */
+function excludeFromEager(builder, modelClass, expression, req, modelOptions) {
+  (function visit(expression, modelClass, path) {
+    _.each(expression.children, function (child, name) {
+      var relation = modelClass.getRelations()[name];
+
+      if (!relation) {
+        return;
+      }
+
+      var relatedModelClass = relation.relatedModelClass;
+      var relatedOptions = options(modelOptions(relatedModelClass));
+      var childPath = path ? path + '.' + name : name;
+
+      if (relatedOptions && !withDeleted(relatedOptions, req)) {
+        builder.modifyEager(childPath, function (builder) {
+          exclude(builder, relatedModelClass, relatedOptions);
+        });
+      }
+
+      visit(child, relatedModelClass, childPath);
+    });
+  })(expression, modelClass, '');
+
+  return builder;
+}
+
+/**
+ * Returns `query` without the `withDeleted` parameter.
+ *
+ * @param {Object} query
+ * @returns {Object}
+ */
+function omit(query) {
+  return _.omit(query, WITH_DELETED_PARAMETER);
+}
+
+module.exports = {
+  options: options,
+  withDeleted: withDeleted,
+  exclude: exclude,
+  excludeFromEager: excludeFromEager,
+  omit: omit,
+  WITH_DELETED_PARAMETER: WITH_DELETED_PARAMETER
+};
@@ -0,0 +1,175 @@
+'use strict';
+
+var _ = require('lodash');
+var HttpError = require('./HttpError');
+
+/**
+ * Query parameter that holds the fields to return.
+ *
+ * @type {string}
+ */
+var FIELDS_PARAMETER = 'fields';
+
+/**
+ * Matches the `fields[pets]` style keys of parsers that don't support nesting.
+ *
+ * @type {RegExp}
+ */
+var FIELDS_KEY_REGEX = /^fields\[(.+)\]$/;
+
+/**
+ * Parses the `fields` query parameters into an object that has an array of property
+ * names for each relation path. The empty path `''` is the root model.
+ *
+ * ```
+ * fields=id,firstName&fields[pets]=name&fields[pets.owner]=id
+ * ```
+ *
+ * is parsed into
+ *
+ * ```js
+ * {'': ['id', 'firstName'], pets: ['name'], 'pets.owner': ['id']}
+ * ```
+ *
+ * Returns null if there are no `fields` parameters.
+ *
+ * @param {Object} query
+ *    Query parameters of the request.
+ * @returns {Object.<string, Array.<string>>}
+ */
+function parse(query) {
+  var fields = null;
+
+  function add(path, value) {
+    if (_.isPlainObject(value)) {
+      // Parsers like qs turn `fields[pets][owner]=id` into `{pets: {owner: 'id'}}`.
+      _.each(value, function (value, name) {
+        add(path ? path + '.' + name : name, value);
+      });
+    } else if (_.isArray(value)) {
+      _.each(value, function (value) {
+        add(path, value);
+      });
+    } else {
+      fields = fields || {};
+      fields[path] = _.union(fields[path] || [], _.compact(_.invokeMap(String(value).split(','), 'trim')));
+    }
+  }
+
+  _.each(query, function (value, key) {
+    var match;
+
+    if (key === FIELDS_PARAMETER) {
+      add('', value);
+    } else if ((match = FIELDS_KEY_REGEX.exec(key))) {
+      add(match[1].replace(/\]\[/g, '.'), value);
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Returns `query` without the `fields` parameters.
+ *
+ * @param {Object} query
+ * @returns {Object}
+ */
+function omit(query) {
+  return _.omitBy(query, function (value, key) {
+    return key === FIELDS_PARAMETER || FIELDS_KEY_REGEX.test(key);
+  });
+}
+
+/**
+ * Validates the `fields` parameters of a query and selects only the requested columns
+ * and the id columns using `builder`. The relations are narrowed down using `modifyEager`.
+ *
+ * The fields must be properties of the models' `jsonSchema`, if they have one, and
+ * readable according to the models' options. Rejects with 400 otherwise.
+ *
+ * @param {QueryBuilder} builder
+ * @param {Model} modelClass
+ * @param {Object} query
+ * @param {function(Model):Object} modelOptions
+ *    Returns the options given to `addModel` for a model class.
+ */
+function select(builder, modelClass, query, modelOptions) {
+  var fields = parse(query);
+
+  _.each(fields, function (propertyNames, path) {
+    var pathModelClass = resolvePath(modelClass, path);
+    validate(pathModelClass, path, propertyNames, modelOptions(pathModelClass));
+
+    var columns = _.map(_.union(pathModelClass.getIdPropertyArray(), propertyNames), function (propertyName) {
+      return pathModelClass.tableName + '.' + pathModelClass.propertyNameToColumnName(propertyName);
+    });
+
+    if (path) {
+      builder.modifyEager(path, function (builder) {
+        builder.select(columns);
+      });
+    } else {
+      builder.select(columns);
+    }
+  });
+
+  return builder;
+}
+
+/**
+ * @private
+ */
+function resolvePath(modelClass, path) {
+  _.each(_.compact(path.split('.')), function (relationName) {
+    var relation = modelClass.getRelations()[relationName];
+
+    if (!relation) {
+      throw invalidFields(path, ['unknown relation "' + relationName + '"']);
+    }
+
+    modelClass = relation.relatedModelClass;
+  });
+
+  return modelClass;
+}
+
+/**
+ * @private
+ */
+function validate(modelClass, path, propertyNames, options) {
+  var properties = modelClass.jsonSchema && modelClass.jsonSchema.properties;
+
+  var invalid = _.filter(propertyNames, function (propertyName) {
+    return (properties && !_.has(properties, propertyName))
+      || (options.readableFields && !_.includes(options.readableFields, propertyName))
+      || _.includes(options.hiddenFields, propertyName);
+  });
+
+  if (invalid.length) {
+    throw invalidFields(path, _.map(invalid, function (propertyName) {
+      return 'unknown field "' + propertyName + '"';
+    }));
+  }
+}
+
+/**
+ * @private
+ */
+function invalidFields(path, messages) {
+  var parameter = path ? FIELDS_PARAMETER + '[' + path + ']' : FIELDS_PARAMETER;
+  var errors = {};
+
+  errors[parameter] = _.map(messages, function (message) {
+    return {message: message, keyword: FIELDS_PARAMETER};
+  });
+
+  return new HttpError(400, 'InvalidQuery', 'Invalid ' + parameter + ' parameter', errors);
+}
+
+module.exports = {
+  parse: parse,
+  omit: omit,
+  select: select,
+  FIELDS_PARAMETER: FIELDS_PARAMETER
+};
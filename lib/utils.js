@@ -0,0 +1,99 @@
+'use strict';
+
+var _ = require('lodash');
+var HttpError = require('./HttpError');
+
+module.exports = {
+  /**
+   * Returns the query parameter name of an objection-find special parameter.
+   *
+   * Special parameters can be renamed using `findQuery.specialParameter(name, parameterName)`.
+   *
+   * @param {FindQueryBuilder} findQuery
+   * @param {string} name
+   * @returns {string}
+   */
+  specialParameterName: function (findQuery, name) {
+    return (findQuery._specialParameterMap && findQuery._specialParameterMap[name]) || name;
+  },
+
+  /**
+   * Parses the id of a model from a route parameter. The values of composite ids are
+   * separated by commas: `/persons/1,2`.
+   *
+   * Returns null if the parameter doesn't have a value for each id property.
+   *
+   * @param {Model} modelClass
+   * @param {string} idParam
+   * @returns {string|Array.<string>}
+   */
+  parseId: function (modelClass, idParam) {
+    var numIdProperties = modelClass.getIdPropertyArray().length;
+
+    if (numIdProperties === 1) {
+      return idParam;
+    }
+
+    var values = String(idParam).split(',');
+    return values.length === numIdProperties ? values : null;
+  },
+
+  /**
+   * Formats the value returned by `model.$id()` for a route. The inverse of `parseId`.
+   *
+   * @param {*|Array.<*>} id
+   * @returns {string}
+   */
+  formatId: function (id) {
+    return _.isArray(id) ? id.join(',') : String(id);
+  },
+
+  /**
+   * Compiles an express style route like `/persons/:id/movies` into a function that
+   * returns an object of route parameters for matching paths and null for others.
+   * The function throws 400 if a route parameter has malformed percent-encoding.
+   *
+   * @param {string} route
+   * @returns {function(string):Object.<string, string>}
+   */
+  compileRoute: function (route) {
+    var paramNames = [];
+    var source = _.map(route.split('/'), function (part) {
+      if (part.charAt(0) === ':') {
+        paramNames.push(part.substring(1));
+        return '([^/]+)';
+      } else {
+        return _.escapeRegExp(part);
+      }
+    }).join('/');
+
+    var regex = new RegExp('^' + source + '/?$');
+
+    return function (path) {
+      var match = regex.exec(path);
+
+      if (!match) {
+        return null;
+      }
+
+      return _.zipObject(paramNames, _.map(match.slice(1), function (param) {
+        try {
+          return decodeURIComponent(param);
+        } catch (err) {
+          throw new HttpError(400, null, 'Malformed route parameter "' + param + '"');
+        }
+      }));
+    };
+  },
+
+  /**
+   * Creates an error that is sent to the client with the given status code.
+   *
+   * @param {number} statusCode
+   * @param {string=} message
+   * @returns {HttpError}
+   */
+  error: function (statusCode, message) {
+    return new HttpError(statusCode, null, message);
+  }
+};
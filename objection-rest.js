@@ -5,3 +5,19 @@ module.exports = function (objection) {
 };
 
 module.exports.RestApiGenerator = RestApiGenerator;
+module.exports.RequestContext = require('./lib/RequestContext');
+module.exports.HttpError = require('./lib/HttpError');
+module.exports.HttpResult = require('./lib/HttpResult');
+module.exports.audit = require('./lib/audit');
+
+module.exports.adapters = {
+  express: require('./lib/adapters/expressAdapter'),
+  koa: require('./lib/adapters/koaAdapter'),
+  fastify: require('./lib/adapters/fastifyAdapter'),
+  http: require('./lib/adapters/httpAdapter')
+};
+
+module.exports.serializers = {
+  json: require('./lib/serializers/jsonSerializer'),
+  jsonApi: require('./lib/serializers/jsonApiSerializer')
+};
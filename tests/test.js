@@ -7,10 +7,102 @@ var request = require('superagent-bluebird-promise');
 var express = require('express');
 var objection = require('objection');
 var bodyParser = require('body-parser');
+var Koa = require('koa');
+var KoaRouter = require('koa-router');
+var koaBodyParser = require('koa-bodyparser');
+var Fastify = require('fastify');
+var Promise = require('bluebird');
 
 var testUtils = require('./utils');
 var objectionRestGenerator = require('../objection-rest');
 
+/**
+ * Functions that mount the generated routes using each of the built-in
+ * adapters and return an http server or a promise for one.
+ *
+ * `state.user` and `state.locals` are set to the requests the way the
+ * authentication middleware of each framework usually does it.
+ */
+var testServers = {
+  express: function (restApi, state) {
+    var app = express().use(bodyParser.json());
+
+    if (state) {
+      app.use(function (req, res, next) {
+        req.user = state.user;
+        _.assign(res.locals, state.locals);
+        next();
+      });
+    }
+
+    restApi.generate(app);
+    return http.createServer(app);
+  },
+
+  koa: function (restApi, state) {
+    var app = new Koa();
+    var router = new KoaRouter();
+
+    if (state) {
+      app.use(function (ctx, next) {
+        ctx.state.user = state.user;
+        _.assign(ctx.state, state.locals);
+        return next();
+      });
+    }
+
+    restApi.adapter(objectionRestGenerator.adapters.koa).generate(router);
+    app.use(koaBodyParser()).use(router.routes());
+    return http.createServer(app.callback());
+  },
+
+  fastify: function (restApi, state) {
+    var app = Fastify();
+
+    if (state) {
+      app.decorateRequest('locals', null);
+      app.addHook('preHandler', function (request, reply, next) {
+        request.user = state.user;
+        request.locals = _.clone(state.locals);
+        next();
+      });
+    }
+
+    restApi.adapter(objectionRestGenerator.adapters.fastify).generate(app);
+    // Fastify registers the routes asynchronously.
+    return app.ready().then(function () {
+      return app.server;
+    });
+  },
+
+  http: function (restApi, state) {
+    var app = objectionRestGenerator.adapters.http.createApp();
+    restApi.adapter(objectionRestGenerator.adapters.http).generate(app);
+
+    return http.createServer(function (req, res) {
+      if (state) {
+        req.user = state.user;
+        res.locals = _.clone(state.locals);
+      }
+
+      app(req, res);
+    });
+  }
+};
+
+/**
+ * Creates a server using one of the `testServers` and starts listening.
+ */
+function startServer(createServer, restApi, state) {
+  return Promise.resolve(createServer(restApi, state)).then(function (server) {
+    return new Promise(function (resolve) {
+      server.listen(3564, null, function () {
+        resolve(server);
+      });
+    });
+  });
+}
+
 describe('integration tests', function () {
 
   var numPersons = 10;
@@ -75,603 +167,3392 @@ describe('integration tests', function () {
         });
       });
 
-      describe('default settings', function () {
+      _.each(testServers, function (createServer, adapterName) {
 
-        before(function (done) {
-          var app = express().use(bodyParser.json());
+        describe('default settings (' + adapterName + ')', function () {
 
-          objectionRestGenerator(objection)
-            .logger(console.log.bind(console))
-            .addModel(Person)
-            .addModel(Movie)
-            .addModel(Animal)
-            .generate(app);
+          before(function () {
+            var restApi = objectionRestGenerator(objection)
+              .logger(console.log.bind(console))
+              .addModel(Person)
+              .addModel(Movie)
+              .addModel(Animal);
 
-          server = http.createServer(app);
-          server.listen(3564, null, function () {
-            done();
+            return startServer(createServer, restApi).then(function ($server) {
+              server = $server;
+            });
           });
-        });
 
-        after(function (done) {
-          server.close(function () {
-            done();
+          after(function (done) {
+            server.close(function () {
+              done();
+            });
           });
-        });
 
-        describe('GET /persons', function () {
+          describe('GET /persons', function () {
 
-          it('should get all persons', function () {
-            return request
-              .get('http://localhost:3564/persons')
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body).to.have.length(numPersons);
-              });
-          });
+            it('should get all persons', function () {
+              return request
+                .get('http://localhost:3564/persons')
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body).to.have.length(numPersons);
+                });
+            });
+
+            it('should get a subset with filters', function () {
+              return request
+                .get('http://localhost:3564/persons')
+                .query({
+                  "firstName:like": "F%",
+                  "pets.name:lt": "P80",
+                  "movies.name:gte": "M19",
+                  "movies.name:lt": "M60",
+                  "orderBy": 'parent.lastName',
+                  "eager": 'parent',
+                  "rangeStart": 2,
+                  "rangeEnd": 4
+                })
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body.total).to.equal(4);
+                  expect(_.map(res.body.results, 'lastName')).to.eql([/*'L02', 'L03', */'L04', 'L05']);
+                  expect(_.map(res.body.results, 'parent.lastName')).to.eql([/*'L03', 'L04', */'L05', 'L06']);
+                });
+            });
 
-          it('should get a subset with filters', function () {
-            return request
-              .get('http://localhost:3564/persons')
-              .query({
-                "firstName:like": "F%",
-                "pets.name:lt": "P80",
-                "movies.name:gte": "M19",
-                "movies.name:lt": "M60",
-                "orderBy": 'parent.lastName',
-                "eager": 'parent',
-                "rangeStart": 2,
-                "rangeEnd": 4
-              })
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body.total).to.equal(4);
-                expect(_.map(res.body.results, 'lastName')).to.eql([/*'L02', 'L03', */'L04', 'L05']);
-                expect(_.map(res.body.results, 'parent.lastName')).to.eql([/*'L03', 'L04', */'L05', 'L06']);
-              });
           });
 
-        });
+          describe('GET /persons/:id', function () {
 
-        describe('GET /persons/:id', function () {
+            it('should get one person', function () {
+              return request
+                .get('http://localhost:3564/persons/5')
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body.id).to.eql(5);
+                  expect(res.body.firstName).to.equal('F04');
+                });
+            });
+
+            it('should get relations eagerly', function () {
+              return request
+                .get('http://localhost:3564/persons/5')
+                .query({eager: '[pets, movies]'})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body.id).to.eql(5);
+                  expect(res.body.firstName).to.equal('F04');
+                  expect(res.body.pets).to.have.length(numAnimalsPerPerson);
+                  expect(res.body.movies).to.have.length(numMoviesPerPerson);
+                });
+            });
+
+            it('should fail with 404 if the person does not exist', function () {
+              return request
+                .get('http://localhost:3564/persons/9999')
+                .then(function () {
+                  throw new Error('should not get here');
+                })
+                .catch(function (err) {
+                  expect(err.status).to.equal(404);
+                });
+            });
 
-          it('should get one person', function () {
-            return request
-              .get('http://localhost:3564/persons/5')
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body.id).to.eql(5);
-                expect(res.body.firstName).to.equal('F04');
-              });
           });
 
-          it('should get relations eagerly', function () {
-            return request
-              .get('http://localhost:3564/persons/5')
-              .query({eager: '[pets, movies]'})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body.id).to.eql(5);
-                expect(res.body.firstName).to.equal('F04');
-                expect(res.body.pets).to.have.length(numAnimalsPerPerson);
-                expect(res.body.movies).to.have.length(numMoviesPerPerson);
-              });
+          describe('POST /persons', function () {
+
+            it('should insert a new person', function () {
+              return request
+                .post('http://localhost:3564/persons')
+                .send({firstName: 'A', lastName: 'B'})
+                .then(function (res) {
+                  expect(res.status).to.equal(201);
+                  expect(res.header.location).to.equal('/persons/' + (numPersons + 1));
+                  expect(res.body).to.eql({firstName: 'A', lastName: 'B', pid: null, id: numPersons + 1, age: null});
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons + 1);
+                  expect(_.filter(rows, {firstName: 'A', lastName: 'B'})).to.have.length(1);
+                });
+            });
+
+            it('should insert each person of an array', function () {
+              return request
+                .post('http://localhost:3564/persons')
+                .send([{firstName: 'A'}, {firstName: 'B'}])
+                .then(function (res) {
+                  expect(res.status).to.equal(201);
+                  expect(_.map(res.body, 'firstName')).to.eql(['A', 'B']);
+                  expect(_.map(res.body, 'id')).to.eql([numPersons + 1, numPersons + 2]);
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons + 2);
+                });
+            });
+
+            it('should insert nothing if inserting one person of an array fails', function () {
+              return expectFailure(request
+                .post('http://localhost:3564/persons')
+                .send([{firstName: 'A'}, {id: 1, firstName: 'B'}]), 409)
+                .then(function () {
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons);
+                });
+            });
+
+            it('should fail with 400 if the body is not valid JSON', function () {
+              return request
+                .post('http://localhost:3564/persons')
+                .type('json')
+                .send('{"firstName": ')
+                .then(function () {
+                  throw new Error('should not get here');
+                })
+                .catch(function (err) {
+                  expect(err.status).to.equal(400);
+                });
+            });
+
           });
 
-        });
+          describe('PUT /persons/:id', function () {
+
+            it('should update a person', function () {
+              return request
+                .put('http://localhost:3564/persons/6')
+                .send({firstName: 'A', lastName: 'B', age: 666})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body).to.eql({firstName: 'A', lastName: 'B', pid: 5, id: 6, age: 666});
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons);
+                  expect(_.filter(rows, {firstName: 'A', lastName: 'B', age: 666})).to.have.length(1);
+                });
+            });
+
+            it('should get relations eagerly for the updated model', function () {
+              return request
+                .put('http://localhost:3564/persons/6')
+                .query({eager: 'parent'})
+                .send({firstName: 'A', lastName: 'B', age: 666})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(_.pick(res.body, 'firstName', 'lastName', 'age')).to.eql({
+                    firstName: 'A',
+                    lastName: 'B',
+                    age: 666
+                  });
+                  expect(res.body.parent.id).to.eql(5);
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons);
+                  expect(_.filter(rows, {firstName: 'A', lastName: 'B', age: 666})).to.have.length(1);
+                });
+            });
 
-        describe('POST /persons', function () {
+          });
+
+          describe('PATCH /persons/:id', function () {
+
+            it('should patch a person', function () {
+              return request
+                .patch('http://localhost:3564/persons/6')
+                .send({age: 666})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body).to.eql({firstName: 'F05', lastName: 'L04', pid: 5, id: 6, age: 666});
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons);
+                  expect(_.filter(rows, {firstName: 'F05', lastName: 'L04', age: 666})).to.have.length(1);
+                });
+            });
+
+            it('should get relations eagerly for the patched model', function () {
+              return request
+                .patch('http://localhost:3564/persons/6')
+                .query({eager: 'parent'})
+                .send({age: 777})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(_.pick(res.body, 'firstName', 'lastName', 'age')).to.eql({
+                    firstName: 'F05',
+                    lastName: 'L04',
+                    age: 777
+                  });
+                  expect(res.body.parent.id).to.eql(5);
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons);
+                  expect(_.filter(rows, {firstName: 'F05', lastName: 'L04', age: 777})).to.have.length(1);
+                });
+            });
 
-          it('should insert a new person', function () {
-            return request
-              .post('http://localhost:3564/persons')
-              .send({firstName: 'A', lastName: 'B'})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body).to.eql({firstName: 'A', lastName: 'B', pid: null, id: numPersons + 1, age: null});
-                return session.knex('Person');
-              })
-              .then(function (rows) {
-                expect(rows).to.have.length(numPersons + 1);
-                expect(_.filter(rows, {firstName: 'A', lastName: 'B'})).to.have.length(1);
-              });
           });
 
-        });
+          describe('DELETE /persons/:id', function () {
+
+            it('should delete a person', function () {
+              return request
+                .del('http://localhost:3564/persons/6')
+                .then(function (res) {
+                  expect(res.status).to.equal(204);
+                  expect(res.body).to.eql({});
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons - 1);
+                  expect(_.filter(rows, {firstName: 'F05', lastName: 'L04'})).to.have.length(0);
+                });
+            });
+
+            it('should return 404 without deleting anything if the person doesn\'t exist', function () {
+              return expectFailure(request.del('http://localhost:3564/persons/9999'), 404)
+                .then(function () {
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons);
+                });
+            });
 
-        describe('PUT /persons/:id', function () {
+          });
+
+          describe('POST /persons/:id/parent', function () {
+
+            it('should create and set the parent relation', function () {
+              return request
+                .post('http://localhost:3564/persons/4/parent')
+                .send({firstName: 'New', lastName: 'Person', age: 123})
+                .then(function (res) {
+                  expect(res.status).to.equal(201);
+                  expect(res.body).to.eql({id: numPersons + 1, firstName: 'New', lastName: 'Person', age: 123, pid: null});
+                  return session.knex('Person');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons + 1);
+                  expect(_.filter(rows, {firstName: 'New', lastName: 'Person'})).to.have.length(1);
+                  expect(_.find(rows, {id: _.isString(rows[0].id) ? '4' : 4}).pid).to.eql(numPersons + 1);
+                });
+            });
 
-          it('should update a person', function () {
-            return request
-              .put('http://localhost:3564/persons/6')
-              .send({firstName: 'A', lastName: 'B', age: 666})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body).to.eql({firstName: 'A', lastName: 'B', pid: 5, id: 6, age: 666});
-                return session.knex('Person');
-              })
-              .then(function (rows) {
-                expect(rows).to.have.length(numPersons);
-                expect(_.filter(rows, {firstName: 'A', lastName: 'B', age: 666})).to.have.length(1);
-              });
           });
 
-          it('should get relations eagerly for the updated model', function () {
-            return request
-              .put('http://localhost:3564/persons/6')
-              .query({eager: 'parent'})
-              .send({firstName: 'A', lastName: 'B', age: 666})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(_.pick(res.body, 'firstName', 'lastName', 'age')).to.eql({
-                  firstName: 'A',
-                  lastName: 'B',
-                  age: 666
+          describe('GET /persons/:id/parent', function () {
+
+            it('should return the parent relation', function () {
+              return request
+                .get('http://localhost:3564/persons/4/parent')
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(_.pick(res.body, 'firstName', 'id')).to.eql({id: 3, firstName: 'F02'});
+                })
+            });
+
+            it('should return null if there is no parent', function () {
+              return request
+                .get('http://localhost:3564/persons/1/parent')
+                .buffer(true)
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.headers['content-type']).to.match(/^application\/json/);
+                  expect(res.text).to.equal('null');
                 });
-                expect(res.body.parent.id).to.eql(5);
-                return session.knex('Person');
-              })
-              .then(function (rows) {
-                expect(rows).to.have.length(numPersons);
-                expect(_.filter(rows, {firstName: 'A', lastName: 'B', age: 666})).to.have.length(1);
-              });
+            });
+
           });
 
-        });
+          describe('DELETE /persons/:id/parent', function () {
+
+            it('should delete person\'s parent', function () {
+              return request
+                .del('http://localhost:3564/persons/4/parent')
+                .then(function (res) {
+                  expect(res.status).to.equal(204);
+                  expect(res.body).to.eql({});
+                  return session.knex('Person')
+                })
+                .then(function (rows) {
+                  rows = integerIds(rows, 'id', 'pid');
+                  expect(rows).to.have.length(numPersons - 1);
+                  expect(_.map(rows, 'id').sort()).to.eql(_.without(_.range(1, 11), 3).sort());
+                });
+            });
 
-        describe('PATCH /persons/:id', function () {
+          });
+
+          describe('POST /persons/:id/pets', function () {
+
+            it('should add new pet for a person', function () {
+              return request
+                .post('http://localhost:3564/persons/4/pets')
+                .send({name: 'New pet'})
+                .then(function (res) {
+                  expect(res.status).to.equal(201);
+                  expect(_.pick(res.body, 'name')).to.eql({name: 'New pet'});
+                  return session.knex('Animal');
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numPersons * numAnimalsPerPerson + 1);
+                  expect(_.find(rows, {name: 'New pet'}).ownerId).to.eql(4);
+                });
+            });
 
-          it('should patch a person', function () {
-            return request
-              .patch('http://localhost:3564/persons/6')
-              .send({age: 666})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body).to.eql({firstName: 'F05', lastName: 'L04', pid: 5, id: 6, age: 666});
-                return session.knex('Person');
-              })
-              .then(function (rows) {
-                expect(rows).to.have.length(numPersons);
-                expect(_.filter(rows, {firstName: 'F05', lastName: 'L04', age: 666})).to.have.length(1);
-              });
           });
 
-          it('should get relations eagerly for the patched model', function () {
-            return request
-              .patch('http://localhost:3564/persons/6')
-              .query({eager: 'parent'})
-              .send({age: 777})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(_.pick(res.body, 'firstName', 'lastName', 'age')).to.eql({
-                  firstName: 'F05',
-                  lastName: 'L04',
-                  age: 777
+          describe('PUT /persons/:id/pets', function () {
+
+            it('should update existing, delete removed and insert new', function () {
+              return request
+                .put('http://localhost:3564/persons/4/pets')
+                .send([
+                  {id: 34, name: 'Updated name 1'},
+                  {id: 37, name: 'Updated name 2'},
+                  {id: 99999, name: 'New 1'},
+                  {name: 'New 2'}
+                ])
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  res.body = integerIds(res.body, 'id', 'ownerId');
+
+                  expect(res.body).to.have.length(4);
+                  var items = _.sortBy(res.body, 'id');
+                  if (items[2].name === 'New 1') {
+                    expect(items).to.eql([
+                      {name: 'Updated name 1', id: 34, ownerId: 4},
+                      {name: 'Updated name 2', id: 37, ownerId: 4},
+                      {name: 'New 1', id: numPersons * numAnimalsPerPerson + 1, ownerId: 4},
+                      {name: 'New 2', id: numPersons * numAnimalsPerPerson + 2, ownerId: 4}
+                    ]);
+                  } else {
+                    expect(items).to.eql([
+                      {name: 'Updated name 1', id: 34, ownerId: 4},
+                      {name: 'Updated name 2', id: 37, ownerId: 4},
+                      {name: 'New 2', id: numPersons * numAnimalsPerPerson + 1, ownerId: 4},
+                      {name: 'New 1', id: numPersons * numAnimalsPerPerson + 2, ownerId: 4}
+                    ]);
+                  }
+
+                  return session.knex('Animal');
+                })
+                .then(function (rows) {
+                  rows = integerIds(rows, 'id', 'ownerId');
+
+                  expect(rows).to.have.length(numPersons * numMoviesPerPerson - (numAnimalsPerPerson - 4));
+                  var items = _.sortBy(_.filter(rows, {ownerId: 4}), 'id');
+                  expect(items).to.have.length(4);
+                  if (items[2].name === 'New 1') {
+                    expect(items).to.eql([
+                      {name: 'Updated name 1', id: 34, ownerId: 4},
+                      {name: 'Updated name 2', id: 37, ownerId: 4},
+                      {name: 'New 1', id: numPersons * numAnimalsPerPerson + 1, ownerId: 4},
+                      {name: 'New 2', id: numPersons * numAnimalsPerPerson + 2, ownerId: 4}
+                    ]);
+                  } else {
+                    expect(items).to.eql([
+                      {name: 'Updated name 1', id: 34, ownerId: 4},
+                      {name: 'Updated name 2', id: 37, ownerId: 4},
+                      {name: 'New 2', id: numPersons * numAnimalsPerPerson + 1, ownerId: 4},
+                      {name: 'New 1', id: numPersons * numAnimalsPerPerson + 2, ownerId: 4}
+                    ]);
+                  }
                 });
-                expect(res.body.parent.id).to.eql(5);
-                return session.knex('Person');
-              })
-              .then(function (rows) {
-                expect(rows).to.have.length(numPersons);
-                expect(_.filter(rows, {firstName: 'F05', lastName: 'L04', age: 777})).to.have.length(1);
-              });
+            });
+
           });
 
-        });
+          describe('GET /persons/:id/pets', function () {
 
-        describe('DELETE /persons/:id', function () {
+            it('should return the pets relation', function () {
+              return request
+                .get('http://localhost:3564/persons/4/pets')
+                .query({orderByDesc: 'name'})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(_.map(res.body, 'name')).to.eql(['P39', 'P38', 'P37', 'P36', 'P35', 'P34', 'P33', 'P32', 'P31', 'P30']);
+                });
+            });
+
+            it('should get a subset with filters', function () {
+              return request
+                .get('http://localhost:3564/persons/4/pets')
+                .query({
+                  'orderByDesc': 'name',
+                  'name:lte': 'P37',
+                  'name:gte': 'P34',
+                  'rangeStart': 1,
+                  'rangeEnd': 2
+                })
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(_.map(res.body.results, 'name')).to.eql(['P36', 'P35']);
+                  expect(res.body.total).to.equal(4);
+                });
+            });
 
-          it('should delete a person', function () {
-            return request
-              .del('http://localhost:3564/persons/6')
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body).to.eql({});
-                return session.knex('Person');
-              })
-              .then(function (rows) {
-                expect(rows).to.have.length(numPersons - 1);
-                expect(_.filter(rows, {firstName: 'F05', lastName: 'L04'})).to.have.length(0);
-              });
           });
 
-        });
+          describe('DELETE /persons/:id/pets', function () {
+
+            it('should delete all person\'s pets', function () {
+              return request
+                .del('http://localhost:3564/persons/4/pets')
+                .then(function (res) {
+                  expect(res.status).to.equal(204);
+                  expect(res.body).to.eql({});
+                  return [
+                    Person.fromJson({id: 4}, {patch: true}).$relatedQuery('pets'),
+                    session.knex('Animal')
+                  ];
+                })
+                .spread(function (models, rows) {
+                  expect(models).to.have.length(0);
+                  expect(rows).to.have.length((numPersons - 1) * numAnimalsPerPerson);
+                });
+            });
 
-        describe('POST /persons/:id/parent', function () {
+          });
+
+          describe('POST /persons/:id/movies', function () {
+
+            it('should add new movie for a person', function () {
+              return request
+                .post('http://localhost:3564/persons/4/movies')
+                .send({name: 'New movie'})
+                .then(function (res) {
+                  expect(res.status).to.equal(201);
+                  expect(_.pick(res.body, 'name')).to.eql({name: 'New movie'});
+                  return [session.knex('Movie'), res.body.id];
+                })
+                .spread(function (rows, newId) {
+                  expect(rows).to.have.length(numPersons * numMoviesPerPerson + 1);
+                  expect(_.filter(rows, {name: 'New movie', id: newId})).to.have.length(1);
+                  return [session.knex('Person_Movie'), newId];
+                })
+                .spread(function (rows, newId) {
+                  var personId = _.isString(newId) ? '4' : 4;
+                  expect(rows).to.have.length(numPersons * numMoviesPerPerson + 1);
+                  expect(_.filter(rows, {actorId: personId, movieId: newId})).to.have.length(1);
+                });
+            });
 
-          it('should create and set the parent relation', function () {
-            return request
-              .post('http://localhost:3564/persons/4/parent')
-              .send({firstName: 'New', lastName: 'Person', age: 123})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body).to.eql({id: numPersons + 1, firstName: 'New', lastName: 'Person', age: 123, pid: null});
-                return session.knex('Person');
-              })
-              .then(function (rows) {
-                expect(rows).to.have.length(numPersons + 1);
-                expect(_.filter(rows, {firstName: 'New', lastName: 'Person'})).to.have.length(1);
-                expect(_.find(rows, {id: _.isString(rows[0].id) ? '4' : 4}).pid).to.eql(numPersons + 1);
-              });
           });
 
-        });
+          describe('POST /persons/:id/movies/:relatedId', function () {
+
+            it('should relate an existing movie to a person', function () {
+              return request
+                .post('http://localhost:3564/persons/4/movies/1')
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(_.pick(res.body, 'name')).to.eql({name: 'M99'});
+                  return session.knex('Person_Movie').where('actorId', 4);
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(numMoviesPerPerson + 1);
+                  expect(_.map(integerIds(rows, 'movieId'), 'movieId')).to.contain(1);
+                });
+            });
 
-        describe('GET /persons/:id/parent', function () {
+            it('should fail with 404 if the movie does not exist', function () {
+              return expectFailure(request.post('http://localhost:3564/persons/4/movies/9999'), 404);
+            });
 
-          it('should return the parent relation', function () {
-            return request
-              .get('http://localhost:3564/persons/4/parent')
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(_.pick(res.body, 'firstName', 'id')).to.eql({id: 3, firstName: 'F02'});
-              })
           });
 
-        });
-
-        describe('DELETE /persons/:id/parent', function () {
+          describe('DELETE /persons/:id/movies/:relatedId', function () {
+
+            it('should unrelate a movie from a person without deleting it', function () {
+              var movieId;
+
+              return session.knex('Person_Movie').where('actorId', 4).first()
+                .then(function (row) {
+                  movieId = parseInt(row.movieId);
+                  return request.del('http://localhost:3564/persons/4/movies/' + movieId);
+                })
+                .then(function (res) {
+                  expect(res.status).to.equal(204);
+                  return Promise.all([
+                    session.knex('Person_Movie').where('actorId', 4),
+                    session.knex('Movie').where('id', movieId)
+                  ]);
+                })
+                .spread(function (rows, movies) {
+                  expect(rows).to.have.length(numMoviesPerPerson - 1);
+                  expect(_.map(integerIds(rows, 'movieId'), 'movieId')).to.not.contain(movieId);
+                  expect(movies).to.have.length(1);
+                });
+            });
 
-          it('should delete person\'s parent', function () {
-            return request
-              .del('http://localhost:3564/persons/4/parent')
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body).to.eql({});
-                return session.knex('Person')
-              })
-              .then(function (rows) {
-                rows = integerIds(rows, 'id', 'pid');
-                expect(rows).to.have.length(numPersons - 1);
-                expect(_.map(rows, 'id').sort()).to.eql(_.without(_.range(1, 11), 3).sort());
+            it('should fail with 404 if the movie is not related to the person', function () {
+              return session.knex('Person_Movie').where('actorId', 5).first().then(function (row) {
+                return expectFailure(request.del('http://localhost:3564/persons/4/movies/' + row.movieId), 404);
               });
+            });
+
           });
 
-        });
+          describe('POST and DELETE /persons/:id/pets/:relatedId', function () {
+
+            it('should relate and unrelate a pet', function () {
+              var petId;
+
+              return session.knex('Animal').where('ownerId', 1).first()
+                .then(function (pet) {
+                  petId = parseInt(pet.id);
+                  return request.post('http://localhost:3564/persons/2/pets/' + petId);
+                })
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(parseInt(res.body.ownerId)).to.equal(2);
+                  return request.del('http://localhost:3564/persons/2/pets/' + petId);
+                })
+                .then(function () {
+                  return session.knex('Animal').where('id', petId).first();
+                })
+                .then(function (pet) {
+                  expect(pet.ownerId).to.equal(null);
+                });
+            });
 
-        describe('POST /persons/:id/pets', function () {
+          });
+
+          describe('POST and DELETE /persons/:id/parent/:relatedId', function () {
+
+            it('should relate and unrelate the parent', function () {
+              return request
+                .post('http://localhost:3564/persons/5/parent/1')
+                .then(function (res) {
+                  expect(parseInt(res.body.id)).to.equal(1);
+                  return session.knex('Person').where('id', 5).first();
+                })
+                .then(function (person) {
+                  expect(parseInt(person.pid)).to.equal(1);
+                  return expectFailure(request.del('http://localhost:3564/persons/5/parent/2'), 404);
+                })
+                .then(function () {
+                  return request.del('http://localhost:3564/persons/5/parent/1');
+                })
+                .then(function () {
+                  return session.knex('Person').where('id', 5).first();
+                })
+                .then(function (person) {
+                  expect(person.pid).to.equal(null);
+                  // The former parent is not deleted.
+                  return session.knex('Person').where('id', 1);
+                })
+                .then(function (rows) {
+                  expect(rows).to.have.length(1);
+                });
+            });
 
-          it('should add new pet for a person', function () {
-            return request
-              .post('http://localhost:3564/persons/4/pets')
-              .send({name: 'New pet'})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(_.pick(res.body, 'name')).to.eql({name: 'New pet'});
-                return session.knex('Animal');
-              })
-              .then(function (rows) {
-                expect(rows).to.have.length(numPersons * numAnimalsPerPerson + 1);
-                expect(_.find(rows, {name: 'New pet'}).ownerId).to.eql(4);
-              });
           });
 
-        });
+          describe('PUT /persons/:id/movies', function () {
+
+            it('should update existing, delete removed and insert new', function () {
+              return request
+                .put('http://localhost:3564/persons/7/movies')
+                .send([
+                  {id: 64, name: 'Updated name 1'},
+                  {id: 67, name: 'Updated name 2'},
+                  {id: 99999, name: 'New 1'},
+                  {name: 'New 2'}
+                ])
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  res.body = integerIds(res.body, 'id');
+
+                  expect(res.body).to.have.length(4);
+                  var items = _.sortBy(res.body, 'id');
+                  if (items[2].name === 'New 1') {
+                    expect(items).to.eql([
+                      {name: 'Updated name 1', id: 64},
+                      {name: 'Updated name 2', id: 67},
+                      {name: 'New 1', id: numPersons * numMoviesPerPerson + 1},
+                      {name: 'New 2', id: numPersons * numMoviesPerPerson + 2}
+                    ]);
+                  } else {
+                    expect(items).to.eql([
+                      {name: 'Updated name 1', id: 64},
+                      {name: 'Updated name 2', id: 67},
+                      {name: 'New 2', id: numPersons * numMoviesPerPerson + 1},
+                      {name: 'New 1', id: numPersons * numMoviesPerPerson + 2}
+                    ]);
+                  }
+
+                  return session.knex('Movie');
+                })
+                .then(function (rows) {
+                  rows = integerIds(rows, 'id');
+
+                  expect(rows).to.have.length(numPersons * numMoviesPerPerson - (numMoviesPerPerson - 4));
+                  expect(_.map(_.filter(rows, function (row) {
+                    return row.id > 60 && row.id <= 70;
+                  }), 'id').sort()).to.eql([64, 67]);
+
+                  return session.knex('Person_Movie');
+                })
+                .then(function (rows) {
+                  rows = integerIds(rows, 'id', 'actorId', 'movieId');
+
+                  expect(rows).to.have.length(numPersons * numMoviesPerPerson - (numMoviesPerPerson - 4));
+                  expect(_.filter(rows, {actorId: 7})).to.have.length(4);
+
+                  expect(_.filter(rows, {actorId: 7, movieId: 64})).to.have.length(1);
+                  expect(_.filter(rows, {actorId: 7, movieId: 67})).to.have.length(1);
+                  expect(_.filter(rows, {actorId: 7, movieId: numPersons * numMoviesPerPerson + 1})).to.have.length(1);
+                  expect(_.filter(rows, {actorId: 7, movieId: numPersons * numMoviesPerPerson + 2})).to.have.length(1);
+                });
+            });
 
-        describe('PUT /persons/:id/pets', function () {
+          });
 
-          it('should update existing, delete removed and insert new', function () {
-            return request
-              .put('http://localhost:3564/persons/4/pets')
-              .send([
-                {id: 34, name: 'Updated name 1'},
-                {id: 37, name: 'Updated name 2'},
-                {id: 99999, name: 'New 1'},
-                {name: 'New 2'}
-              ])
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                res.body = integerIds(res.body, 'id', 'ownerId');
-
-                expect(res.body).to.have.length(4);
-                var items = _.sortBy(res.body, 'id');
-                if (items[2].name === 'New 1') {
-                  expect(items).to.eql([
-                    {name: 'Updated name 1', id: 34, ownerId: 4},
-                    {name: 'Updated name 2', id: 37, ownerId: 4},
-                    {name: 'New 1', id: numPersons * numAnimalsPerPerson + 1, ownerId: 4},
-                    {name: 'New 2', id: numPersons * numAnimalsPerPerson + 2, ownerId: 4}
-                  ]);
-                } else {
-                  expect(items).to.eql([
-                    {name: 'Updated name 1', id: 34, ownerId: 4},
-                    {name: 'Updated name 2', id: 37, ownerId: 4},
-                    {name: 'New 2', id: numPersons * numAnimalsPerPerson + 1, ownerId: 4},
-                    {name: 'New 1', id: numPersons * numAnimalsPerPerson + 2, ownerId: 4}
-                  ]);
-                }
+          describe('GET /persons/:id/movies', function () {
+
+            it('should return the movies relation', function () {
+              return request
+                .get('http://localhost:3564/persons/7/movies')
+                .query({orderByDesc: 'name'})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(_.map(res.body, 'name')).to.eql(['M39', 'M38', 'M37', 'M36', 'M35', 'M34', 'M33', 'M32', 'M31', 'M30']);
+                });
+            });
+
+            it('should get a subset with filters', function () {
+              return request
+                .get('http://localhost:3564/persons/7/movies')
+                .query({
+                  'orderByDesc': 'name',
+                  'name:lte': 'M37',
+                  'name:gte': 'M34',
+                  'rangeStart': 1,
+                  'rangeEnd': 2
+                })
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(_.map(res.body.results, 'name')).to.eql(['M36', 'M35']);
+                  expect(res.body.total).to.equal(4);
+                });
+            });
 
-                return session.knex('Animal');
-              })
-              .then(function (rows) {
-                rows = integerIds(rows, 'id', 'ownerId');
-
-                expect(rows).to.have.length(numPersons * numMoviesPerPerson - (numAnimalsPerPerson - 4));
-                var items = _.sortBy(_.filter(rows, {ownerId: 4}), 'id');
-                expect(items).to.have.length(4);
-                if (items[2].name === 'New 1') {
-                  expect(items).to.eql([
-                    {name: 'Updated name 1', id: 34, ownerId: 4},
-                    {name: 'Updated name 2', id: 37, ownerId: 4},
-                    {name: 'New 1', id: numPersons * numAnimalsPerPerson + 1, ownerId: 4},
-                    {name: 'New 2', id: numPersons * numAnimalsPerPerson + 2, ownerId: 4}
-                  ]);
-                } else {
-                  expect(items).to.eql([
-                    {name: 'Updated name 1', id: 34, ownerId: 4},
-                    {name: 'Updated name 2', id: 37, ownerId: 4},
-                    {name: 'New 2', id: numPersons * numAnimalsPerPerson + 1, ownerId: 4},
-                    {name: 'New 1', id: numPersons * numAnimalsPerPerson + 2, ownerId: 4}
-                  ]);
-                }
-              });
           });
 
-        });
+          describe('DELETE /persons/:id/movies', function () {
+
+            it('should delete all person\'s movies', function () {
+              return request
+                .del('http://localhost:3564/persons/4/movies')
+                .then(function (res) {
+                  expect(res.status).to.equal(204);
+                  expect(res.body).to.eql({});
+                  return [
+                    Person.fromJson({id: 4}, {patch: true}).$relatedQuery('movies'),
+                    session.knex('Movie')
+                  ];
+                })
+                .spread(function (models, rows) {
+                  expect(models).to.have.length(0);
+                  expect(rows).to.have.length((numPersons - 1) * numMoviesPerPerson);
+                });
+            });
 
-        describe('GET /persons/:id/pets', function () {
+          });
+
+          describe('DELETE /persons', function () {
+
+            it('should delete all persons', function () {
+              return request
+                .del('http://localhost:3564/persons')
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body.total).to.equal(numPersons);
+                  return [
+                    session.knex('Person')
+                  ];
+                }).spread(function (rows) {
+                  expect(rows).to.have.length(0);
+                });
+            });
+
+            it('should delete persons by ids', function () {
+              return request
+                .del('http://localhost:3564/persons')
+                .query({ids: '1,2,9999'})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body.total).to.equal(2);
+                  expect(_.map(res.body.results, 'id').sort()).to.eql([1, 2]);
+                  expect(res.body.notFound).to.eql(['9999']);
+                  return session.knex('Person');
+                }).then(function (rows) {
+                  expect(rows).to.have.length(numPersons - 2);
+                  expect(_.find(rows, {id: 1})).to.equal(undefined);
+                });
+            });
+
+            it('should delete a subset with filters', function () {
+              return request
+                .del('http://localhost:3564/persons')
+                .query({
+                  "firstName:like": "F%",
+                  "pets.name:lt": "P80",
+                  "movies.name:gte": "M19",
+                  "movies.name:lt": "M60"
+                })
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body.total).to.equal(4);
+                  return session.knex('Person');
+                }).then(function (rows) {
+                  expect(rows).to.have.length(6);
+                });
+            });
 
-          it('should return the pets relation', function () {
-            return request
-              .get('http://localhost:3564/persons/4/pets')
-              .query({orderByDesc: 'name'})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(_.map(res.body, 'name')).to.eql(['P39', 'P38', 'P37', 'P36', 'P35', 'P34', 'P33', 'P32', 'P31', 'P30']);
-              });
           });
 
-          it('should get a subset with filters', function () {
-            return request
-              .get('http://localhost:3564/persons/4/pets')
-              .query({
-                'orderByDesc': 'name',
-                'name:lte': 'P37',
-                'name:gte': 'P34',
-                'rangeStart': 1,
-                'rangeEnd': 2
-              })
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(_.map(res.body.results, 'name')).to.eql(['P36', 'P35']);
-                expect(res.body.total).to.equal(4);
+          describe('PATCH /persons', function () {
+
+            it('should patch all persons', function () {
+              return request
+                .patch('http://localhost:3564/persons')
+                .send({age: 666})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body.total).to.equal(numPersons);
+                  return session.knex('Person').where({
+                    age: 666
+                  });
+                }).then(function (rows) {
+                  expect(rows).to.have.length(numPersons);
+                });
+            });
+
+            it('should patch persons by the ids of an array body', function () {
+              return request
+                .patch('http://localhost:3564/persons')
+                .send([{id: 1, age: 70}, {id: 2, firstName: 'Second'}, {id: 9999, age: 1}])
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body.total).to.equal(2);
+                  expect(_.find(res.body.results, {id: 1}).age).to.equal(70);
+                  expect(_.find(res.body.results, {id: 2}).firstName).to.equal('Second');
+                  expect(res.body.notFound).to.eql(['9999']);
+                  return session.knex('Person').whereIn('id', [1, 2]).orderBy('id');
+                }).then(function (rows) {
+                  expect(rows[0].age).to.equal(70);
+                  expect(rows[1].firstName).to.equal('Second');
+                });
+            });
+
+            it('should respond with the same not found ids as a bulk delete', function () {
+              return Promise.all([
+                request.patch('http://localhost:3564/persons').send([{id: 9998, age: 1}, {id: '9999', age: 1}]),
+                request.del('http://localhost:3564/persons').query({ids: '9998,9999'})
+              ]).spread(function (patchRes, deleteRes) {
+                expect(patchRes.body.notFound).to.eql(['9998', '9999']);
+                expect(deleteRes.body.notFound).to.eql(patchRes.body.notFound);
               });
+            });
+
+            it('should fail with 422 if an item of an array body has no id', function () {
+              return expectFailure(request
+                .patch('http://localhost:3564/persons')
+                .send([{id: 1, age: 777}, {age: 888}]), 422)
+                .then(function (err) {
+                  expect(err.body.code).to.equal('MissingId');
+                  expect(err.body.errors).to.have.property('1.id');
+                  return session.knex('Person').where('age', 777);
+                }).then(function (rows) {
+                  expect(rows).to.have.length(0);
+                });
+            });
+
+            it('should patch a subset with filters', function () {
+              return request
+                .patch('http://localhost:3564/persons')
+                .query({
+                  "firstName:like": "F%",
+                  "pets.name:lt": "P80",
+                  "movies.name:gte": "M19",
+                  "movies.name:lt": "M60"
+                })
+                .send({age: 666})
+                .then(function (res) {
+                  expect(res.status).to.equal(200);
+                  expect(res.body.total).to.equal(4);
+                  return session.knex('Person').where({
+                    age: 666
+                  });
+                }).then(function (rows) {
+                  expect(rows).to.have.length(4);
+                });
+            });
+
           });
 
         });
 
-        describe('DELETE /persons/:id/pets', function () {
+      });
 
-          it('should delete all person\'s pets', function () {
-            return request
-              .del('http://localhost:3564/persons/4/pets')
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body).to.eql({});
-                return [
-                  Person.fromJson({id: 4}, {patch: true}).$relatedQuery('pets'),
-                  session.knex('Animal')
-                ];
+      _.each(testServers, function (createServer, adapterName) {
+
+        describe('request context (' + adapterName + ')', function () {
+          var requests = [];
+
+          before(function () {
+            var restApi = objectionRestGenerator(objection)
+              .databaseGetter(function (req) {
+                requests.push(req);
+                return knex;
               })
-              .spread(function (models, rows) {
-                expect(models).to.have.length(0);
-                expect(rows).to.have.length((numPersons - 1) * numAnimalsPerPerson);
-              });
+              .addModel(Person);
+
+            var state = {
+              user: {id: 1, name: 'Jennifer'},
+              locals: {tenant: 'test'}
+            };
+
+            return startServer(createServer, restApi, state).then(function ($server) {
+              server = $server;
+            });
           });
 
-        });
+          after(function (done) {
+            server.close(function () {
+              done();
+            });
+          });
 
-        describe('POST /persons/:id/movies', function () {
+          beforeEach(function () {
+            requests = [];
+          });
 
-          it('should add new movie for a person', function () {
+          it('should pass headers, user and locals to databaseGetter', function () {
             return request
-              .post('http://localhost:3564/persons/4/movies')
-              .send({name: 'New movie'})
+              .patch('http://localhost:3564/persons/5')
+              .query({eager: 'parent'})
+              .set('X-Custom-Header', 'custom')
+              .send({age: 10})
               .then(function (res) {
                 expect(res.status).to.equal(200);
-                expect(_.pick(res.body, 'name')).to.eql({name: 'New movie'});
-                return [session.knex('Movie'), res.body.id];
-              })
-              .spread(function (rows, newId) {
-                expect(rows).to.have.length(numPersons * numMoviesPerPerson + 1);
-                expect(_.filter(rows, {name: 'New movie', id: newId})).to.have.length(1);
-                return [session.knex('Person_Movie'), newId];
-              })
-              .spread(function (rows, newId) {
-                var personId = _.isString(newId) ? '4' : 4;
-                expect(rows).to.have.length(numPersons * numMoviesPerPerson + 1);
-                expect(_.filter(rows, {actorId: personId, movieId: newId})).to.have.length(1);
+                expect(requests.length).to.be.above(0);
+
+                var req = requests[0];
+                expect(req).to.be.an(objectionRestGenerator.RequestContext);
+                expect(req.method).to.equal('PATCH');
+                expect(req.path).to.equal('/persons/5');
+                expect(req.params).to.eql({id: '5'});
+                expect(req.query).to.eql({eager: 'parent'});
+                expect(req.body).to.eql({age: 10});
+                expect(req.header('X-Custom-Header')).to.equal('custom');
+                expect(req.headers['x-custom-header']).to.equal('custom');
+                expect(req.user).to.eql({id: 1, name: 'Jennifer'});
+                expect(req.locals.tenant).to.equal('test');
               });
           });
 
         });
 
-        describe('PUT /persons/:id/movies', function () {
+      });
 
-          it('should update existing, delete removed and insert new', function () {
-            return request
-              .put('http://localhost:3564/persons/7/movies')
-              .send([
-                {id: 64, name: 'Updated name 1'},
-                {id: 67, name: 'Updated name 2'},
-                {id: 99999, name: 'New 1'},
-                {name: 'New 2'}
-              ])
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                res.body = integerIds(res.body, 'id');
-
-                expect(res.body).to.have.length(4);
-                var items = _.sortBy(res.body, 'id');
-                if (items[2].name === 'New 1') {
-                  expect(items).to.eql([
-                    {name: 'Updated name 1', id: 64},
-                    {name: 'Updated name 2', id: 67},
-                    {name: 'New 1', id: numPersons * numMoviesPerPerson + 1},
-                    {name: 'New 2', id: numPersons * numMoviesPerPerson + 2}
-                  ]);
-                } else {
-                  expect(items).to.eql([
-                    {name: 'Updated name 1', id: 64},
-                    {name: 'Updated name 2', id: 67},
-                    {name: 'New 2', id: numPersons * numMoviesPerPerson + 1},
-                    {name: 'New 1', id: numPersons * numMoviesPerPerson + 2}
-                  ]);
+      describe('authorization', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person, {
+              authorize: function (req, operation) {
+                return !!req.user && operation !== 'delete';
+              }
+            })
+            .addModel(Animal, {
+              authorize: function (req, operation, builder) {
+                if (operation !== 'read') {
+                  return builder.where('Animal.ownerId', req.user.id);
+                }
+              }
+            })
+            .addModel(Movie, {
+              authorize: function (req, operation) {
+                if (operation === 'relate') {
+                  var err = new Error('Teapot');
+                  err.statusCode = 418;
+                  return Promise.reject(err);
                 }
 
-                return session.knex('Movie');
-              })
-              .then(function (rows) {
-                rows = integerIds(rows, 'id');
-
-                expect(rows).to.have.length(numPersons * numMoviesPerPerson - (numMoviesPerPerson - 4));
-                expect(_.map(_.filter(rows, function (row) {
-                  return row.id > 60 && row.id <= 70;
-                }), 'id').sort()).to.eql([64, 67]);
+                return req.header('x-deny') !== operation;
+              }
+            });
 
-                return session.knex('Person_Movie');
-              })
-              .then(function (rows) {
-                rows = integerIds(rows, 'id', 'actorId', 'movieId');
+          var app = express().use(bodyParser.json()).use(function (req, res, next) {
+            req.user = req.headers['x-user-id'] ? {id: parseInt(req.headers['x-user-id'], 10)} : null;
+            next();
+          });
 
-                expect(rows).to.have.length(numPersons * numMoviesPerPerson - (numMoviesPerPerson - 4));
-                expect(_.filter(rows, {actorId: 7})).to.have.length(4);
+          restApi.generate(app);
+          server = http.createServer(app);
 
-                expect(_.filter(rows, {actorId: 7, movieId: 64})).to.have.length(1);
-                expect(_.filter(rows, {actorId: 7, movieId: 67})).to.have.length(1);
-                expect(_.filter(rows, {actorId: 7, movieId: numPersons * numMoviesPerPerson + 1})).to.have.length(1);
-                expect(_.filter(rows, {actorId: 7, movieId: numPersons * numMoviesPerPerson + 2})).to.have.length(1);
-              });
+          return Promise.fromCallback(function (callback) {
+            server.listen(3564, null, callback);
           });
-
         });
 
-        describe('GET /persons/:id/movies', function () {
-
-          it('should return the movies relation', function () {
-            return request
-              .get('http://localhost:3564/persons/7/movies')
-              .query({orderByDesc: 'name'})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(_.map(res.body, 'name')).to.eql(['M39', 'M38', 'M37', 'M36', 'M35', 'M34', 'M33', 'M32', 'M31', 'M30']);
-              });
+        after(function (done) {
+          server.close(function () {
+            done();
           });
+        });
 
-          it('should get a subset with filters', function () {
-            return request
-              .get('http://localhost:3564/persons/7/movies')
-              .query({
-                'orderByDesc': 'name',
-                'name:lte': 'M37',
-                'name:gte': 'M34',
-                'rangeStart': 1,
-                'rangeEnd': 2
-              })
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(_.map(res.body.results, 'name')).to.eql(['M36', 'M35']);
-                expect(res.body.total).to.equal(4);
-              });
+        it('should reject unauthenticated requests with 401', function () {
+          return expectFailure(request.get('http://localhost:3564/persons'), 401).then(function () {
+            return expectFailure(request.get('http://localhost:3564/persons/4/pets'), 401);
           });
+        });
 
+        it('should reject forbidden operations with 403', function () {
+          return expectFailure(request.del('http://localhost:3564/persons/5').set('X-User-Id', '5'), 403)
+            .then(function () {
+              return session.knex('Person');
+            })
+            .then(function (rows) {
+              expect(rows).to.have.length(numPersons);
+            });
         });
 
-        describe('DELETE /persons/:id/movies', function () {
+        it('should allow authorized operations', function () {
+          return request
+            .get('http://localhost:3564/persons')
+            .set('X-User-Id', '5')
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(res.body).to.have.length(numPersons);
+            });
+        });
 
-          it('should delete all person\'s movies', function () {
-            return request
-              .del('http://localhost:3564/persons/4/movies')
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body).to.eql({});
-                return [
-                  Person.fromJson({id: 4}, {patch: true}).$relatedQuery('movies'),
-                  session.knex('Movie')
-                ];
-              })
-              .spread(function (models, rows) {
-                expect(models).to.have.length(0);
-                expect(rows).to.have.length((numPersons - 1) * numMoviesPerPerson);
-              });
-          });
+        it('should narrow collection queries', function () {
+          return request
+            .patch('http://localhost:3564/animals')
+            .set('X-User-Id', '4')
+            .send({name: 'Patched'})
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(res.body.total).to.equal(numAnimalsPerPerson);
+              return session.knex('Animal').where('name', 'Patched');
+            })
+            .then(function (rows) {
+              expect(_.uniq(_.map(integerIds(rows, 'ownerId'), 'ownerId'))).to.eql([4]);
+            });
+        });
 
+        it('should fail with 404 if the model is narrowed out of the query', function () {
+          var patch = request
+            .patch('http://localhost:3564/animals/1')
+            .set('X-User-Id', '4')
+            .send({name: 'Patched'});
+
+          return expectFailure(patch, 404)
+            .then(function () {
+              return request
+                .patch('http://localhost:3564/animals/31')
+                .set('X-User-Id', '4')
+                .send({name: 'Patched'});
+            })
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(res.body.name).to.equal('Patched');
+            });
         });
 
-        describe('DELETE /persons', function () {
+        it('should narrow relation queries using the related model\'s hook', function () {
+          return request
+            .del('http://localhost:3564/persons/4/pets')
+            .set('X-User-Id', '5')
+            .then(function (res) {
+              expect(res.status).to.equal(204);
+              return session.knex('Animal').where('ownerId', 4);
+            })
+            .then(function (rows) {
+              expect(rows).to.have.length(numAnimalsPerPerson);
+            });
+        });
 
-          it('should delete all persons', function () {
-            return request
-              .del('http://localhost:3564/persons')
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body.total).to.equal(numPersons);
-                return [
-                  session.knex('Person')
-                ];
-              }).spread(function (rows) {
-                expect(rows).to.have.length(0);
-              });
+        it('should authorize the creates and deletes of a relation PUT', function () {
+          var currentMovies = _.map(_.range(1, numMoviesPerPerson + 1), function (id) {
+            return {id: id};
           });
 
-          it('should delete a subset with filters', function () {
-            return request
-              .del('http://localhost:3564/persons')
-              .query({
-                "firstName:like": "F%",
-                "pets.name:lt": "P80",
-                "movies.name:gte": "M19",
-                "movies.name:lt": "M60"
+          function expectMoviesUnchanged() {
+            return session.knex('Person_Movie').where('actorId', 1).then(function (rows) {
+              expect(rows).to.have.length(numMoviesPerPerson);
+              return session.knex('Movie').where('name', 'New');
+            }).then(function (rows) {
+              expect(rows).to.have.length(0);
+            });
+          }
+
+          var put = request
+            .put('http://localhost:3564/persons/1/movies')
+            .set('X-User-Id', '1')
+            .set('X-Deny', 'create')
+            .send(currentMovies.concat({name: 'New'}));
+
+          return expectFailure(put, 403)
+            .then(expectMoviesUnchanged)
+            .then(function () {
+              return expectFailure(request
+                .put('http://localhost:3564/persons/1/movies')
+                .set('X-User-Id', '1')
+                .set('X-Deny', 'delete')
+                .send(_.tail(currentMovies).concat({name: 'New'})), 403);
+            })
+            .then(expectMoviesUnchanged)
+            .then(function () {
+              return request
+                .put('http://localhost:3564/persons/1/movies')
+                .set('X-User-Id', '1')
+                .set('X-Deny', 'delete')
+                .send(currentMovies.concat({name: 'New'}));
+            })
+            .then(function (res) {
+              expect(res.body).to.have.length(numMoviesPerPerson + 1);
+            });
+        });
+
+        it('should reject with the status code of an error thrown by the hook', function () {
+          return expectFailure(request.post('http://localhost:3564/persons/4/movies/1').set('X-User-Id', '4'), 418);
+        });
+
+      });
+
+      describe('lifecycle hooks', function () {
+        var calls = [];
+        var failAfterInsert = false;
+
+        function recordHook(hookName) {
+          return function (req, modelClass, models, relation) {
+            calls.push({
+              hook: hookName,
+              method: req.method,
+              modelClass: modelClass,
+              models: _.invokeMap(models, 'toJSON'),
+              relation: relation && relation.name
+            });
+          };
+        }
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person, {
+              beforeInsert: function (req, modelClass, models) {
+                models[0].lastName = models[0].lastName || 'Default';
+              },
+              afterInsert: function (req, modelClass, models) {
+                calls.push({hook: 'afterInsert', models: _.invokeMap(models, 'toJSON')});
+
+                // Queries of the hook run in the same transaction.
+                return modelClass.query().patch({age: 99}).where('id', models[0].id).then(function () {
+                  if (failAfterInsert) {
+                    throw new Error('hook failed');
+                  }
+                });
+              },
+              beforeUpdate: recordHook('beforeUpdate'),
+              afterUpdate: recordHook('afterUpdate'),
+              beforeDelete: recordHook('beforeDelete'),
+              afterDelete: recordHook('afterDelete')
+            })
+            .addModel(Movie, {
+              beforeRelate: recordHook('beforeRelate'),
+              afterRelate: recordHook('afterRelate')
+            });
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        beforeEach(function () {
+          calls = [];
+          failAfterInsert = false;
+        });
+
+        it('should call beforeInsert and afterInsert', function () {
+          return request
+            .post('http://localhost:3564/persons')
+            .send({firstName: 'Hook'})
+            .then(function (res) {
+              expect(res.body.lastName).to.equal('Default');
+              expect(calls.length).to.equal(1);
+              expect(calls[0].models[0].firstName).to.equal('Hook');
+              return Person.query().where('firstName', 'Hook').first();
+            })
+            .then(function (row) {
+              expect(row.age).to.equal(99);
+            });
+        });
+
+        it('should roll back the operation if a hook fails', function () {
+          failAfterInsert = true;
+
+          return expectFailure(request.post('http://localhost:3564/persons').send({firstName: 'Hook'}), 500)
+            .then(function () {
+              return Person.query().where('firstName', 'Hook');
+            })
+            .then(function (rows) {
+              expect(calls.length).to.equal(1);
+              expect(rows).to.have.length(0);
+            });
+        });
+
+        it('should call beforeUpdate and afterUpdate with the transaction bound model class', function () {
+          return request
+            .patch('http://localhost:3564/persons/5')
+            .send({age: 30})
+            .then(function () {
+              expect(_.map(calls, 'hook')).to.eql(['beforeUpdate', 'afterUpdate']);
+              expect(calls[0].modelClass).to.not.equal(Person);
+              expect(calls[0].modelClass.tableName).to.equal('Person');
+              expect(calls[0].models).to.eql([{age: 30}]);
+              expect(calls[1].models[0].id).to.eql(5);
+              expect(calls[1].models[0].age).to.equal(30);
+            });
+        });
+
+        it('should not call the hooks if the model to update doesn\'t exist', function () {
+          return expectFailure(request.put('http://localhost:3564/persons/9999').send({firstName: 'Missing'}), 404)
+            .then(function () {
+              expect(calls).to.eql([]);
+            });
+        });
+
+        it('should call beforeDelete and afterDelete with the deleted models', function () {
+          return request
+            .del('http://localhost:3564/persons/5')
+            .then(function () {
+              expect(_.map(calls, 'hook')).to.eql(['beforeDelete', 'afterDelete']);
+              expect(_.map(calls[0].models, 'firstName')).to.eql(['F04']);
+              expect(calls[1].models).to.eql(calls[0].models);
+            });
+        });
+
+        it('should call the update hooks with each model that a filtered PATCH updates', function () {
+          return request
+            .patch('http://localhost:3564/persons')
+            .query({'age:gte': 80})
+            .send({lastName: 'Old'})
+            .then(function (res) {
+              expect(res.body).to.eql({total: 2});
+              expect(_.map(calls, 'hook')).to.eql(['beforeUpdate', 'afterUpdate']);
+              expect(calls[0].models).to.eql([{id: 9, lastName: 'Old'}, {id: 10, lastName: 'Old'}]);
+              expect(_.map(calls[1].models, 'firstName')).to.eql(['F08', 'F09']);
+              expect(_.map(calls[1].models, 'lastName')).to.eql(['Old', 'Old']);
+            });
+        });
+
+        it('should call the delete hooks with the models that a filtered DELETE deletes', function () {
+          return request
+            .del('http://localhost:3564/persons')
+            .query({'age:gte': 80})
+            .then(function (res) {
+              expect(res.body).to.eql({total: 2});
+              expect(_.map(calls, 'hook')).to.eql(['beforeDelete', 'afterDelete']);
+              expect(_.map(calls[0].models, 'firstName')).to.eql(['F08', 'F09']);
+              expect(calls[1].models).to.eql(calls[0].models);
+            });
+        });
+
+        it('should call beforeRelate and afterRelate of the related model', function () {
+          return request
+            .post('http://localhost:3564/persons/4/movies/1')
+            .then(function () {
+              expect(_.map(calls, 'hook')).to.eql(['beforeRelate', 'afterRelate']);
+              expect(calls[0].relation).to.equal('movies');
+              expect(calls[0].modelClass.tableName).to.equal('Movie');
+              expect(calls[1].models[0].id).to.eql(1);
+            });
+        });
+
+      });
+
+      describe('field allowlists', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person, {
+              writableFields: {
+                create: ['firstName', 'lastName', 'age'],
+                update: ['age']
+              },
+              readOnlyFields: ['id'],
+              hiddenFields: ['lastName']
+            })
+            .addModel(Animal, {
+              writableFields: ['name'],
+              readableFields: ['id', 'name']
+            });
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should ignore read-only fields and leave out hidden fields', function () {
+          return request
+            .post('http://localhost:3564/persons')
+            .send({id: 1000, firstName: 'New', lastName: 'Person', age: 20})
+            .then(function (res) {
+              expect(res.body.id).to.not.equal(1000);
+              expect(res.body.firstName).to.equal('New');
+              expect(res.body).to.not.have.property('lastName');
+              return Person.query().findById(res.body.id);
+            })
+            .then(function (person) {
+              expect(person.lastName).to.equal('Person');
+            });
+        });
+
+        it('should reject fields that are not writable with 422', function () {
+          var req = request.patch('http://localhost:3564/persons/1').send({age: 30, firstName: 'Changed'});
+
+          return expectFailure(req, 422).then(function (err) {
+            expect(err.body.code).to.equal('FieldNotWritable');
+            expect(_.keys(err.body.errors)).to.eql(['firstName']);
+          });
+        });
+
+        it('should apply the related model\'s options in relation routes', function () {
+          var req = request.post('http://localhost:3564/persons/1/pets').send({name: 'Pet', ownerId: 5});
+
+          return expectFailure(req, 422)
+            .then(function () {
+              return request.get('http://localhost:3564/persons/1').query({eager: 'pets'});
+            })
+            .then(function (res) {
+              expect(res.body).to.not.have.property('lastName');
+              expect(res.body.pets).to.have.length(10);
+              _.each(res.body.pets, function (pet) {
+                expect(_.keys(pet).sort()).to.eql(['id', 'name']);
+              });
+            });
+        });
+
+        it('should reject filters and ordering by fields that are not readable with 400', function () {
+          return expectFailure(request.get('http://localhost:3564/persons?lastName:eq=L09'), 400)
+            .then(function (err) {
+              expect(err.body.code).to.equal('InvalidQuery');
+              expect(_.keys(err.body.errors)).to.eql(['lastName:eq']);
+              return expectFailure(request.get('http://localhost:3564/persons?orderBy=lastName'), 400);
+            })
+            .then(function (err) {
+              expect(_.keys(err.body.errors)).to.eql(['orderBy']);
+              return expectFailure(request.get('http://localhost:3564/persons/1/pets?ownerId=1'), 400);
+            })
+            .then(function () {
+              return expectFailure(request.get('http://localhost:3564/persons?pets.ownerId:gt=0'), 400);
+            })
+            .then(function () {
+              return expectFailure(request.get('http://localhost:3564/persons/_count?lastName:like=L0'), 400);
+            })
+            .then(function () {
+              return request.get('http://localhost:3564/persons?firstName:eq=F00&orderBy=age');
+            })
+            .then(function (res) {
+              expect(_.map(res.body, 'id')).to.eql([1]);
+            });
+        });
+
+      });
+
+      _.each(_.pick(testServers, 'express', 'http'), function (createServer, adapterName) {
+
+        describe('sparse fieldsets (' + adapterName + ')', function () {
+
+          before(function () {
+            var restApi = objectionRestGenerator(objection)
+              .addModel(Person, {hiddenFields: ['lastName']})
+              .addModel(Animal, {cursorPagination: true});
+
+            return startServer(createServer, restApi).then(function ($server) {
+              server = $server;
+            });
+          });
+
+          after(function (done) {
+            server.close(function () {
+              done();
+            });
+          });
+
+          it('should return only the requested fields of the models and relations', function () {
+            return request
+              .get('http://localhost:3564/persons?fields=id,firstName&fields[pets]=name&eager=pets&orderBy=id')
+              .then(function (res) {
+                expect(res.body).to.have.length(10);
+                expect(res.body[0].id).to.eql(1);
+                _.each(res.body, function (person) {
+                  expect(_.keys(person).sort()).to.eql(['firstName', 'id', 'pets']);
+                  expect(person.pets).to.have.length(10);
+                  _.each(person.pets, function (pet) {
+                    expect(_.keys(pet)).to.eql(['name']);
+                  });
+                });
+              });
+          });
+
+          it('should work with single model and relation routes', function () {
+            return request
+              .get('http://localhost:3564/persons/1?fields=firstName')
+              .then(function (res) {
+                expect(res.body).to.eql({firstName: 'F00'});
+                return request.get('http://localhost:3564/persons/1/movies?fields=name');
+              })
+              .then(function (res) {
+                expect(res.body).to.have.length(10);
+                expect(_.keys(res.body[0])).to.eql(['name']);
+              });
+          });
+
+          it('should work with cursor pagination', function () {
+            return request
+              .get('http://localhost:3564/animals?fields=id&orderByDesc=name&limit=5')
+              .then(function (res) {
+                expect(_.map(res.body.results, 'id')).to.eql([100, 99, 98, 97, 96]);
+                expect(_.keys(res.body.results[0])).to.eql(['id']);
+                return request.get('http://localhost:3564/animals?fields=id&orderByDesc=name&limit=5&cursor=' + res.body.nextCursor);
+              })
+              .then(function (res) {
+                expect(_.map(res.body.results, 'id')).to.eql([95, 94, 93, 92, 91]);
+              });
+          });
+
+          it('should reject hidden fields and unknown relations with 400', function () {
+            return expectFailure(request.get('http://localhost:3564/persons?fields=id,lastName'), 400)
+              .then(function (err) {
+                expect(err.body.code).to.equal('InvalidQuery');
+                expect(_.keys(err.body.errors)).to.eql(['fields']);
+                return expectFailure(request.get('http://localhost:3564/persons?fields[unknown]=id'), 400);
+              })
+              .then(function (err) {
+                expect(_.keys(err.body.errors)).to.eql(['fields[unknown]']);
+              });
+          });
+
+        });
+
+      });
+
+      describe('composite keys', function () {
+        var Tag, TaggedPerson;
+
+        before(function () {
+          return knex.schema
+            .dropTableIfExists('Person_Tag')
+            .dropTableIfExists('Tag')
+            .createTable('Tag', function (table) {
+              table.string('ns');
+              table.string('name');
+              table.string('description');
+              table.primary(['ns', 'name']);
+            })
+            .createTable('Person_Tag', function (table) {
+              table.increments('id').primary();
+              table.biginteger('personId');
+              table.string('tagNs');
+              table.string('tagName');
+            });
+        });
+
+        before(function () {
+          Tag = class Tag extends objection.Model {};
+          Tag.tableName = 'Tag';
+          Tag.idColumn = ['ns', 'name'];
+          Tag.knex(knex);
+
+          TaggedPerson = class TaggedPerson extends Person {};
+          TaggedPerson.relationMappings = {
+            tags: {
+              relation: objection.ManyToManyRelation,
+              modelClass: Tag,
+              join: {
+                from: 'Person.id',
+                through: {
+                  from: 'Person_Tag.personId',
+                  to: ['Person_Tag.tagNs', 'Person_Tag.tagName']
+                },
+                to: ['Tag.ns', 'Tag.name']
+              }
+            }
+          };
+
+          var restApi = objectionRestGenerator(objection)
+            .addModel(TaggedPerson)
+            .addModel(Tag);
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        beforeEach(function () {
+          return knex('Person_Tag').delete().then(function () {
+            return knex('Tag').delete();
+          }).then(function () {
+            return knex('Tag').insert([
+              {ns: 'color', name: 'red', description: 'Red'},
+              {ns: 'color', name: 'blue', description: 'Blue'},
+              {ns: 'size', name: 'red', description: 'Red size'}
+            ]);
+          }).then(function () {
+            return knex('Person_Tag').insert([
+              {personId: 1, tagNs: 'color', tagName: 'red'},
+              {personId: 1, tagNs: 'size', tagName: 'red'}
+            ]);
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        after(function () {
+          return knex.schema.dropTable('Person_Tag').dropTable('Tag');
+        });
+
+        it('should find, patch and delete models by a composite id', function () {
+          return request
+            .get('http://localhost:3564/tags/size,red')
+            .then(function (res) {
+              expect(res.body).to.eql({ns: 'size', name: 'red', description: 'Red size'});
+              return request.patch('http://localhost:3564/tags/color,red').send({description: 'Crimson'});
+            })
+            .then(function (res) {
+              expect(res.body.description).to.equal('Crimson');
+              return request.del('http://localhost:3564/tags/color,blue');
+            })
+            .then(function () {
+              return knex('Tag').orderBy('description');
+            })
+            .then(function (rows) {
+              expect(_.map(rows, 'description')).to.eql(['Crimson', 'Red size']);
+            });
+        });
+
+        it('should respond 404 to ids that have a wrong number of values', function () {
+          return expectFailure(request.get('http://localhost:3564/tags/red'), 404).then(function () {
+            return expectFailure(request.get('http://localhost:3564/tags/color,red,extra'), 404);
+          });
+        });
+
+        it('should relate models by a composite id', function () {
+          return request
+            .post('http://localhost:3564/persons/1/tags/color,blue')
+            .then(function (res) {
+              expect(res.body).to.eql({ns: 'color', name: 'blue', description: 'Blue'});
+              return request.get('http://localhost:3564/persons/1/tags').query({orderBy: 'description'});
+            })
+            .then(function (res) {
+              expect(_.map(res.body, 'description')).to.eql(['Blue', 'Red', 'Red size']);
+            });
+        });
+
+        it('should diff related models by a composite id in PUT', function () {
+          return request
+            .put('http://localhost:3564/persons/1/tags')
+            .send([
+              {ns: 'color', name: 'red', description: 'Crimson'},
+              {ns: 'shape', name: 'round', description: 'Round'}
+            ])
+            .then(function (res) {
+              expect(_.sortBy(_.map(res.body, 'description'))).to.eql(['Crimson', 'Round']);
+              return knex('Tag').orderBy('description');
+            })
+            .then(function (rows) {
+              // The tag `size,red` was deleted. `color,blue` was not related.
+              expect(_.map(rows, 'description')).to.eql(['Blue', 'Crimson', 'Round']);
+            });
+        });
+
+        it('should patch and delete in bulk by composite ids', function () {
+          return request
+            .patch('http://localhost:3564/tags')
+            .send([{ns: 'color', name: 'red', description: 'Crimson'}, {ns: 'color', name: 'green', description: 'Lime'}])
+            .then(function (res) {
+              expect(_.map(res.body.results, 'description')).to.eql(['Crimson']);
+              expect(res.body.notFound).to.eql(['color,green']);
+              return request.del('http://localhost:3564/tags').query('ids=color,blue&ids=size,red&ids=size,blue');
+            })
+            .then(function (res) {
+              expect(res.body.total).to.equal(2);
+              expect(res.body.notFound).to.eql(['size,blue']);
+              return knex('Tag');
+            })
+            .then(function (rows) {
+              expect(_.map(rows, 'description')).to.eql(['Crimson']);
+            });
+        });
+
+      });
+
+      describe('graph routes', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person, {
+              allowInsert: '[pets, movies]',
+              allowUpsert: 'pets'
+            })
+            .addModel(Animal, {writableFields: ['name']});
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should insert a graph', function () {
+          return request
+            .post('http://localhost:3564/persons')
+            .send({
+              firstName: 'Graph',
+              pets: [{name: 'G1'}, {name: 'G2'}],
+              movies: [{name: 'GM'}]
+            })
+            .then(function (res) {
+              expect(res.body.firstName).to.equal('Graph');
+              return Person.query().findById(res.body.id).eager('[pets, movies]');
+            })
+            .then(function (person) {
+              expect(_.map(person.pets, 'name').sort()).to.eql(['G1', 'G2']);
+              expect(_.map(person.movies, 'name')).to.eql(['GM']);
+            });
+        });
+
+        it('should reject relations that are not allowed', function () {
+          var req = request.post('http://localhost:3564/persons').send({firstName: 'Graph', children: [{firstName: 'Child'}]});
+
+          return expectFailure(req, 400).then(function () {
+            return Person.query().where('firstName', 'Graph');
+          }).then(function (rows) {
+            expect(rows).to.have.length(0);
+          });
+        });
+
+        it('should check the writable fields of the related models', function () {
+          var req = request.post('http://localhost:3564/persons').send({firstName: 'Graph', pets: [{name: 'G1', ownerId: 3}]});
+
+          return expectFailure(req, 422).then(function (err) {
+            expect(_.keys(err.body.errors)).to.eql(['ownerId']);
+          });
+        });
+
+        it('should upsert a graph', function () {
+          var keptPetId;
+
+          return session.knex('Animal').where('ownerId', 1).orderBy('id')
+            .then(function (pets) {
+              keptPetId = parseInt(pets[0].id);
+
+              return request
+                .put('http://localhost:3564/persons/1')
+                .send({
+                  firstName: 'Upserted',
+                  pets: [{id: keptPetId, name: 'Renamed'}, {name: 'New pet'}]
+                });
+            })
+            .then(function (res) {
+              expect(res.body.firstName).to.equal('Upserted');
+              return session.knex('Animal').where('ownerId', 1).orderBy('id');
+            })
+            .then(function (pets) {
+              expect(pets).to.have.length(2);
+              expect(parseInt(pets[0].id)).to.equal(keptPetId);
+              expect(_.map(pets, 'name')).to.eql(['Renamed', 'New pet']);
+            });
+        });
+
+        it('should fail with 404 if the root model does not exist', function () {
+          return expectFailure(request.put('http://localhost:3564/persons/9999').send({firstName: 'None', pets: []}), 404);
+        });
+
+      });
+
+      describe('graph route guards', function () {
+        var calls;
+        var deny;
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person, {
+              allowInsert: 'pets',
+              allowUpsert: 'pets'
+            })
+            .addModel(Animal, {
+              writableFields: ['name'],
+              authorize: function (req, operation) {
+                return !_.includes(deny, operation);
+              },
+              beforeInsert: recordHook('beforeInsert'),
+              afterInsert: recordHook('afterInsert'),
+              beforeUpdate: recordHook('beforeUpdate'),
+              afterUpdate: recordHook('afterUpdate'),
+              beforeDelete: recordHook('beforeDelete'),
+              afterDelete: recordHook('afterDelete')
+            });
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        beforeEach(function () {
+          calls = [];
+          deny = [];
+        });
+
+        function recordHook(hook) {
+          return function (req, modelClass, models, relation) {
+            calls.push({hook: hook, names: _.map(models, 'name'), relation: relation && relation.name});
+          };
+        }
+
+        it('should authorize the inserts of the related models', function () {
+          deny = ['create'];
+
+          var req = request.post('http://localhost:3564/persons').send({firstName: 'Graph', pets: [{name: 'G1'}]});
+
+          return expectFailure(req, 401).then(function () {
+            return Person.query().where('firstName', 'Graph');
+          }).then(function (rows) {
+            expect(rows).to.have.length(0);
+            expect(calls).to.eql([]);
+          });
+        });
+
+        it('should run the insert hooks of the related models', function () {
+          return request
+            .post('http://localhost:3564/persons')
+            .send({firstName: 'Graph', pets: [{name: 'G1'}, {name: 'G2'}]})
+            .then(function () {
+              expect(calls).to.eql([
+                {hook: 'beforeInsert', names: ['G1', 'G2'], relation: 'pets'},
+                {hook: 'afterInsert', names: ['G1', 'G2'], relation: 'pets'}
+              ]);
+            });
+        });
+
+        it('should authorize the deletes of the related models', function () {
+          deny = ['delete'];
+
+          var req = request.put('http://localhost:3564/persons/1').send({firstName: 'Upserted', pets: []});
+
+          return expectFailure(req, 401).then(function () {
+            return Promise.all([
+              session.knex('Person').where('id', 1).first(),
+              session.knex('Animal').where('ownerId', 1)
+            ]);
+          }).spread(function (person, pets) {
+            expect(person.firstName).to.equal('F00');
+            expect(pets).to.have.length(10);
+          });
+        });
+
+        it('should run the upsert hooks of the related models', function () {
+          return request
+            .put('http://localhost:3564/persons/1')
+            .send({firstName: 'Upserted', pets: [{id: 1, name: 'Renamed'}, {name: 'New pet'}]})
+            .then(function () {
+              expect(_.map(calls, 'hook')).to.eql([
+                'beforeInsert', 'beforeUpdate', 'beforeDelete',
+                'afterInsert', 'afterUpdate', 'afterDelete'
+              ]);
+              expect(_.find(calls, {hook: 'beforeUpdate'}).names).to.eql(['Renamed']);
+              expect(_.find(calls, {hook: 'afterInsert'}).names).to.eql(['New pet']);
+              expect(_.find(calls, {hook: 'beforeDelete'}).names).to.eql(['P01', 'P02', 'P03', 'P04', 'P05', 'P06', 'P07', 'P08', 'P09']);
+            });
+        });
+
+      });
+
+      describe('batch', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person)
+            .addModel(Movie)
+            .addModel(Animal);
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should execute operations that reference earlier results', function () {
+          return request
+            .post('http://localhost:3564/_batch')
+            .send([
+              {method: 'POST', path: '/persons', body: {firstName: 'Batch', lastName: 'Person'}, ref: 'person'},
+              {method: 'POST', path: '/persons/@{person.id}/movies/1'},
+              {method: 'patch', path: '/animals/1', body: {name: 'Batch pet', ownerId: '@{0.id}'}},
+              {method: 'GET', path: '/persons/@{person.id}?eager=movies', query: {fields: 'firstName'}}
+            ])
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(_.map(res.body, 'status')).to.eql([201, 200, 200, 200]);
+              expect(res.body[0].headers.Location).to.equal('/persons/' + (numPersons + 1));
+              expect(res.body[0].body.id).to.equal(numPersons + 1);
+              expect(res.body[2].body.ownerId).to.equal(numPersons + 1);
+              expect(res.body[3].body.firstName).to.equal('Batch');
+              expect(res.body[3].body).to.not.have.property('lastName');
+              expect(_.map(res.body[3].body.movies, 'id')).to.eql([1]);
+            });
+        });
+
+        it('should roll back all operations if one fails', function () {
+          var req = request
+            .post('http://localhost:3564/_batch')
+            .send([
+              {method: 'POST', path: '/persons', body: {firstName: 'Batch'}},
+              {method: 'PATCH', path: '/animals/1', body: {name: 'Batch pet'}},
+              {method: 'PATCH', path: '/persons/9999', body: {firstName: 'Missing'}}
+            ]);
+
+          return expectFailure(req, 404)
+            .then(function (err) {
+              expect(err.body.message).to.equal('Operation 2 failed: Not Found');
+              return Promise.all([session.knex('Person'), session.knex('Animal').where('id', 1)]);
+            })
+            .spread(function (persons, animals) {
+              expect(persons).to.have.length(numPersons);
+              expect(animals[0].name).to.equal('P00');
+            });
+        });
+
+        it('should fail with 400 if an operation is invalid or references a missing result', function () {
+          return expectFailure(request.post('http://localhost:3564/_batch').send([{method: 'GET'}]), 400)
+            .then(function (err) {
+              expect(err.body.code).to.equal('InvalidBatch');
+              expect(err.body.errors).to.have.property('0.path');
+
+              return expectFailure(request.post('http://localhost:3564/_batch').send([
+                {method: 'GET', path: '/persons/@{person.id}'}
+              ]), 400);
+            })
+            .then(function (err) {
+              expect(err.body.code).to.equal('InvalidReference');
+            });
+        });
+
+        it('should not pass the conditional headers of the batch request to the operations', function () {
+          return request
+            .get('http://localhost:3564/persons/1')
+            .then(function (res) {
+              return request
+                .post('http://localhost:3564/_batch')
+                .set('If-None-Match', res.headers.etag)
+                .set('If-Match', '"stale"')
+                .send([
+                  {method: 'GET', path: '/persons/1'},
+                  {method: 'PATCH', path: '/persons/1', body: {age: 99}}
+                ]);
+            })
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(_.map(res.body, 'status')).to.eql([200, 200]);
+              expect(res.body[0].body.firstName).to.equal('F00');
+              expect(res.body[1].body.age).to.equal(99);
+            });
+        });
+
+        it('should pass the headers of an operation to its route', function () {
+          return request
+            .get('http://localhost:3564/persons/1')
+            .then(function (res) {
+              return request
+                .post('http://localhost:3564/_batch')
+                .send([{method: 'GET', path: '/persons/1', headers: {'If-None-Match': res.headers.etag}}]);
+            })
+            .then(function (res) {
+              expect(_.map(res.body, 'status')).to.eql([304]);
+
+              return expectFailure(request.post('http://localhost:3564/_batch').send([
+                {method: 'PATCH', path: '/persons/1', headers: {'If-Match': '"stale"'}, body: {age: 99}}
+              ]), 412);
+            })
+            .then(function (err) {
+              expect(err.body.message).to.match(/^Operation 0 failed: /);
+              return session.knex('Person').where('id', 1);
+            })
+            .then(function (persons) {
+              expect(persons[0].age).to.equal(0);
+            });
+        });
+
+        it('should fail with 400 if the headers of an operation are not strings', function () {
+          return expectFailure(request.post('http://localhost:3564/_batch').send([
+            {method: 'GET', path: '/persons/1', headers: {'If-Match': 1}}
+          ]), 400).then(function (err) {
+            expect(err.body.errors).to.have.property('0.headers');
+          });
+        });
+
+        it('should fail with 400 if an operation path has malformed percent-encoding', function () {
+          return expectFailure(request.post('http://localhost:3564/_batch').send([
+            {method: 'GET', path: '/persons/%E0%A4%A'}
+          ]), 400);
+        });
+
+        it('should fail with 404 if an operation has no route', function () {
+          return expectFailure(request.post('http://localhost:3564/_batch').send([
+            {method: 'POST', path: '/_batch', body: []}
+          ]), 404);
+        });
+
+      });
+
+      _.each(testServers, function (createServer, adapterName) {
+
+        describe('ETags (' + adapterName + ')', function () {
+
+          before(function () {
+            var restApi = objectionRestGenerator(objection).addModel(Person);
+
+            return startServer(createServer, restApi).then(function ($server) {
+              server = $server;
+            });
+          });
+
+          after(function (done) {
+            server.close(function () {
+              done();
+            });
+          });
+
+          it('should respond 304 to GET if If-None-Match matches the ETag', function () {
+            return request
+              .get('http://localhost:3564/persons/1')
+              .then(function (res) {
+                expect(res.headers.etag).to.match(/^"[0-9a-f]{40}"$/);
+                return request.get('http://localhost:3564/persons/1').set('If-None-Match', res.headers.etag);
+              })
+              .then(function () {
+                throw new Error('should not get here');
+              })
+              .catch(function (err) {
+                // superagent rejects 304 responses without copying the status to the error.
+                expect(err.originalError.status).to.equal(304);
+              });
+          });
+
+          it('should respond 412 to PATCH and DELETE if If-Match does not match the ETag', function () {
+            var etag;
+
+            return request
+              .get('http://localhost:3564/persons/1')
+              .then(function (res) {
+                etag = res.headers.etag;
+                return request.patch('http://localhost:3564/persons/1').set('If-Match', etag).send({age: 99});
               })
+              .then(function (res) {
+                expect(res.body.age).to.equal(99);
+                expect(res.headers.etag).to.not.equal(etag);
+                return expectFailure(request.patch('http://localhost:3564/persons/1').set('If-Match', etag).send({age: 100}), 412);
+              })
+              .then(function (err) {
+                expect(err.body.code).to.equal('PreconditionFailed');
+                return expectFailure(request.del('http://localhost:3564/persons/1').set('If-Match', etag), 412);
+              })
+              .then(function () {
+                return session.knex('Person').where('id', 1);
+              })
+              .then(function (rows) {
+                expect(rows[0].age).to.equal(99);
+              });
+          });
+
+        });
+
+        describe('JSON:API (' + adapterName + ')', function () {
+
+          before(function () {
+            var restApi = objectionRestGenerator(objection)
+              .serializer(objectionRestGenerator.serializers.jsonApi)
+              .addModel(Person);
+
+            return startServer(createServer, restApi).then(function ($server) {
+              server = $server;
+            });
+          });
+
+          after(function (done) {
+            server.close(function () {
+              done();
+            });
+          });
+
+          it('should respond with JSON:API documents', function () {
+            return request
+              .get('http://localhost:3564/persons/2')
+              .then(function (res) {
+                expect(res.headers['content-type']).to.match(/^application\/vnd\.api\+json/);
+                expect(res.body.data.type).to.equal('persons');
+                expect(res.body.data.id).to.equal('2');
+                expect(res.body.data.attributes.firstName).to.equal('F01');
+                expect(res.body.data.links).to.eql({self: '/persons/2'});
+                return request.del('http://localhost:3564/persons/2');
+              })
+              .then(function (res) {
+                expect(res.status).to.equal(204);
+              });
+          });
+
+          it('should respond to errors with the serializer\'s content type', function () {
+            return expectFailure(request.get('http://localhost:3564/persons/9999'), 404).then(function (err) {
+              expect(err.res.header['content-type']).to.match(/^application\/vnd\.api\+json/);
+            });
+          });
+
+        });
+
+        describe('HEAD and OPTIONS (' + adapterName + ')', function () {
+
+          before(function () {
+            var restApi = objectionRestGenerator(objection)
+              .exclude('DELETE', '/persons/:id')
+              .addModel(Person);
+
+            return startServer(createServer, restApi).then(function ($server) {
+              server = $server;
+            });
+          });
+
+          after(function (done) {
+            server.close(function () {
+              done();
+            });
+          });
+
+          it('should respond to HEAD with counts and ETags without bodies', function () {
+            return request
+              .head('http://localhost:3564/persons')
+              .query({'firstName:in': 'F01,F02'})
               .then(function (res) {
                 expect(res.status).to.equal(200);
-                expect(res.body.total).to.equal(4);
-                return session.knex('Person');
-              }).then(function (rows) {
-                expect(rows).to.have.length(6);
+                expect(res.headers['x-total-count']).to.equal('2');
+                expect(res.text || '').to.equal('');
+                return request.head('http://localhost:3564/persons/4/pets');
+              })
+              .then(function (res) {
+                expect(res.headers['x-total-count']).to.equal(String(numAnimalsPerPerson));
+                return request.head('http://localhost:3564/persons/1');
+              })
+              .then(function (res) {
+                expect(res.status).to.equal(200);
+                expect(res.headers.etag).to.match(/^"[0-9a-f]{40}"$/);
+                expect(res.text || '').to.equal('');
+                return expectFailure(request.head('http://localhost:3564/persons/9999'), 404);
+              });
+          });
+
+          it('should respond to OPTIONS with the allowed methods', function () {
+            return request
+              .options('http://localhost:3564/persons')
+              .then(function (res) {
+                expect(res.status).to.equal(204);
+                expect(res.headers.allow).to.equal('POST, HEAD, GET, PATCH, DELETE, OPTIONS');
+                return request.options('http://localhost:3564/persons/1');
+              })
+              .then(function (res) {
+                expect(res.headers.allow).to.equal('HEAD, GET, PUT, PATCH, OPTIONS');
+                return request.options('http://localhost:3564/persons/1/parent');
+              })
+              .then(function (res) {
+                expect(res.headers.allow).to.equal('POST, HEAD, GET, DELETE, OPTIONS');
+              });
+          });
+
+        });
+
+      });
+
+      describe('versionColumn', function () {
+        var Document;
+
+        before(function () {
+          return knex.schema
+            .dropTableIfExists('Document')
+            .createTable('Document', function (table) {
+              table.increments('id').primary();
+              table.string('title');
+              table.integer('version').defaultTo(1);
+            });
+        });
+
+        before(function () {
+          Document = class Document extends objection.Model {};
+          Document.tableName = 'Document';
+          Document.knex(knex);
+
+          var restApi = objectionRestGenerator(objection).addModel(Document, {versionColumn: 'version'});
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        beforeEach(function () {
+          return knex('Document').delete().then(function () {
+            return knex('Document').insert({id: 1, title: 'Draft'});
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        after(function () {
+          return knex.schema.dropTable('Document');
+        });
+
+        it('should use and increment the version column', function () {
+          return request
+            .get('http://localhost:3564/documents/1')
+            .then(function (res) {
+              expect(res.headers.etag).to.equal('"1"');
+              return request.patch('http://localhost:3564/documents/1').set('If-Match', '"1"').send({title: 'Final'});
+            })
+            .then(function (res) {
+              expect(res.headers.etag).to.equal('"2"');
+              expect(res.body).to.eql({id: 1, title: 'Final', version: 2});
+              return request.put('http://localhost:3564/documents/1').send({title: 'Published'});
+            })
+            .then(function (res) {
+              expect(res.body.version).to.equal(3);
+              return expectFailure(request.del('http://localhost:3564/documents/1').set('If-Match', '"2"'), 412);
+            });
+        });
+
+      });
+
+      describe('JSON:API serializer', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .serializer(objectionRestGenerator.serializers.jsonApi)
+            .errorFormatter(objectionRestGenerator.serializers.jsonApi.formatError)
+            .addModel(Person, {defaultPageSize: 2})
+            .addModel(Animal);
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should put eagerly loaded relations to included and link the relation routes', function () {
+          return request
+            .get('http://localhost:3564/persons/2')
+            .query({eager: '[parent, pets]'})
+            .then(function (res) {
+              var data = res.body.data;
+
+              expect(_.omit(data.attributes, 'pid')).to.eql({firstName: 'F01', lastName: 'L08', age: 10});
+              expect(data.relationships.parent).to.eql({links: {related: '/persons/2/parent'}, data: {type: 'persons', id: '1'}});
+              expect(data.relationships.children).to.eql({links: {related: '/persons/2/children'}});
+              expect(data.relationships.pets.data).to.have.length(numAnimalsPerPerson);
+              expect(data.relationships.pets.data[0]).to.eql({type: 'animals', id: '11'});
+
+              expect(res.body.included).to.have.length(numAnimalsPerPerson + 1);
+              expect(_.pick(res.body.included[0], 'type', 'id', 'links')).to.eql({type: 'persons', id: '1', links: {self: '/persons/1'}});
+              expect(res.body.included[1].attributes.name).to.equal('P10');
+              expect(res.body.included[1].links).to.eql({self: '/animals/11'});
+            });
+        });
+
+        it('should put pages and counts to meta', function () {
+          return request
+            .get('http://localhost:3564/persons')
+            .query({orderBy: 'id'})
+            .then(function (res) {
+              expect(_.map(res.body.data, 'id')).to.eql(['1', '2']);
+              expect(res.body.meta).to.eql({total: numPersons});
+              return request.get('http://localhost:3564/persons/_count').query({'age:gt': 30});
+            })
+            .then(function (res) {
+              expect(res.body).to.eql({meta: {total: 6}});
+              return request.get('http://localhost:3564/persons/1/parent');
+            })
+            .then(function (res) {
+              expect(res.body).to.eql({data: null});
+            });
+        });
+
+        it('should accept JSON:API documents on POST and PATCH', function () {
+          return request
+            .post('http://localhost:3564/persons')
+            .send({
+              data: {
+                type: 'persons',
+                attributes: {firstName: 'Jane', lastName: 'Doe', age: 25},
+                relationships: {parent: {data: {type: 'persons', id: '3'}}}
+              }
+            })
+            .then(function (res) {
+              expect(res.status).to.equal(201);
+              expect(res.headers.location).to.equal('/persons/' + res.body.data.id);
+              expect(res.body.data.attributes.firstName).to.equal('Jane');
+              expect(Number(res.body.data.attributes.pid)).to.equal(3);
+              return request.patch('http://localhost:3564/persons/1').send({data: {type: 'persons', id: '1', attributes: {age: 99}}});
+            })
+            .then(function (res) {
+              expect(res.body.data.attributes.age).to.equal(99);
+              return request.post('http://localhost:3564/persons/1/pets').send({data: {type: 'animals', attributes: {name: 'Rex'}}});
+            })
+            .then(function (res) {
+              expect(res.status).to.equal(201);
+              expect(Number(res.body.data.attributes.ownerId)).to.equal(1);
+            });
+        });
+
+        it('should respond with JSON:API errors', function () {
+          return expectFailure(request.post('http://localhost:3564/persons').send({data: {type: 'animals', attributes: {}}}), 409)
+            .then(function (err) {
+              expect(err.body).to.eql({errors: [{status: '409', code: 'Conflict', title: 'Resource type must be "persons"'}]});
+              return expectFailure(request.patch('http://localhost:3564/persons/1').send({data: {type: 'persons', id: '2', attributes: {}}}), 409);
+            })
+            .then(function () {
+              return expectFailure(request.patch('http://localhost:3564/persons/1').send({age: 99}), 400);
+            })
+            .then(function (err) {
+              expect(err.body.errors[0].code).to.equal('InvalidDocument');
+              return expectFailure(request.get('http://localhost:3564/persons/_aggregate').query({aggregate: 'sum:age'}), 400);
+            })
+            .then(function (err) {
+              expect(err.body).to.eql({errors: [{
+                status: '400',
+                code: 'InvalidQuery',
+                title: 'Invalid aggregate parameter',
+                detail: 'field "age" can\'t be aggregated',
+                source: {parameter: 'aggregate'}
+              }]});
+            });
+        });
+
+      });
+
+      describe('full-text search', function () {
+        var Author, Article;
+
+        before(function () {
+          return knex.schema
+            .dropTableIfExists('Article')
+            .dropTableIfExists('Author')
+            .createTable('Author', function (table) {
+              table.increments('id').primary();
+              table.string('name');
+            })
+            .createTable('Article', function (table) {
+              table.increments('id').primary();
+              table.integer('authorId');
+              table.string('title');
+              table.string('body');
+            })
+            .then(function () {
+              if (knex.client.dialect === 'mysql') {
+                return knex.raw('alter table Article add fulltext(title), add fulltext(body)');
+              }
+            });
+        });
+
+        before(function () {
+          Article = class Article extends objection.Model {};
+          Article.tableName = 'Article';
+          Article.knex(knex);
+
+          Author = class Author extends objection.Model {};
+          Author.tableName = 'Author';
+          Author.knex(knex);
+          Author.relationMappings = {
+            articles: {
+              relation: objection.HasManyRelation,
+              modelClass: Article,
+              join: {from: 'Author.id', to: 'Article.authorId'}
+            }
+          };
+
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Author)
+            .addModel(Article, {search: {columns: ['title', 'body'], weights: {title: 2}}});
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        before(function () {
+          return knex('Author').insert([{id: 1, name: 'Ann'}, {id: 2, name: 'Bob'}]).then(function () {
+            return knex('Article').insert([
+              {id: 1, authorId: 1, title: 'Growing tomatoes', body: 'Sunlight and water'},
+              {id: 2, authorId: 1, title: 'Garden planning', body: 'Tomatoes need sunlight'},
+              {id: 3, authorId: 1, title: 'Woodworking', body: 'Building a chair'},
+              {id: 4, authorId: 2, title: 'Tomatoes sauce', body: 'Tomatoes with basil'}
+            ]);
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        after(function () {
+          return knex.schema.dropTable('Article').dropTable('Author');
+        });
+
+        it('should order the matches by relevance unless the query has an ordering', function () {
+          return request
+            .get('http://localhost:3564/articles')
+            .query({q: 'tomatoes'})
+            .then(function (res) {
+              expect(_.map(res.body, 'id')).to.eql([4, 1, 2]);
+              return request.get('http://localhost:3564/articles').query({q: 'sunlight tomatoes', orderByDesc: 'id'});
+            })
+            .then(function (res) {
+              expect(_.map(res.body, 'id')).to.eql([2, 1]);
+              return request.get('http://localhost:3564/articles').query({q: '%'});
+            })
+            .then(function (res) {
+              expect(res.body).to.eql([]);
+            });
+        });
+
+        it('should search relations and counts', function () {
+          return request
+            .get('http://localhost:3564/authors/1/articles')
+            .query({q: 'tomatoes', 'title:likeLower': 'g%'})
+            .then(function (res) {
+              expect(_.map(res.body, 'id')).to.eql([1, 2]);
+              return request.get('http://localhost:3564/articles/_count').query({q: 'tomatoes'});
+            })
+            .then(function (res) {
+              expect(res.body).to.eql({total: 3});
+              return request.head('http://localhost:3564/authors/1/articles').query({q: 'tomatoes'});
+            })
+            .then(function (res) {
+              expect(res.headers['x-total-count']).to.equal('2');
+            });
+        });
+
+        it('should fail with 400 if the model can\'t be searched', function () {
+          return expectFailure(request.get('http://localhost:3564/authors').query({q: 'Ann'}), 400).then(function (err) {
+            expect(err.body.code).to.equal('InvalidQuery');
+            expect(err.body.errors).to.eql({q: [{message: 'Author can\'t be searched', keyword: 'q'}]});
+          });
+        });
+
+      });
+
+      describe('soft delete', function () {
+        var Post, Comment;
+
+        before(function () {
+          return knex.schema
+            .dropTableIfExists('Comment')
+            .dropTableIfExists('Post')
+            .createTable('Post', function (table) {
+              table.increments('id').primary();
+              table.string('title');
+              table.dateTime('deletedAt');
+            })
+            .createTable('Comment', function (table) {
+              table.increments('id').primary();
+              table.integer('postId');
+              table.string('text');
+              table.dateTime('deletedAt');
+            });
+        });
+
+        before(function () {
+          Comment = class Comment extends objection.Model {};
+          Comment.tableName = 'Comment';
+          Comment.knex(knex);
+
+          Post = class Post extends objection.Model {};
+          Post.tableName = 'Post';
+          Post.knex(knex);
+          Post.relationMappings = {
+            comments: {
+              relation: objection.HasManyRelation,
+              modelClass: Comment,
+              join: {from: 'Post.id', to: 'Comment.postId'}
+            }
+          };
+
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Post, {
+              allowUpsert: 'comments',
+              softDelete: {
+                column: 'deletedAt',
+                allowWithDeleted: function (req) {
+                  return req.header('x-admin') === 'true';
+                }
+              }
+            })
+            .addModel(Comment, {softDelete: 'deletedAt'});
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        beforeEach(function () {
+          return knex('Comment').delete().then(function () {
+            return knex('Post').delete();
+          }).then(function () {
+            return knex('Post').insert([{id: 1, title: 'First'}, {id: 2, title: 'Second'}]);
+          }).then(function () {
+            return knex('Comment').insert([
+              {id: 1, postId: 1, text: 'A'},
+              {id: 2, postId: 2, text: 'B'},
+              {id: 3, postId: 2, text: 'C', deletedAt: new Date()}
+            ]);
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        after(function () {
+          return knex.schema.dropTable('Comment').dropTable('Post');
+        });
+
+        it('should set deletedAt instead of deleting and hide deleted models', function () {
+          return request
+            .del('http://localhost:3564/posts/1')
+            .then(function () {
+              return knex('Post').where('id', 1);
+            })
+            .then(function (rows) {
+              expect(rows[0].deletedAt).to.not.equal(null);
+              return request.get('http://localhost:3564/posts');
+            })
+            .then(function (res) {
+              expect(_.map(res.body, 'id')).to.eql([2]);
+              return expectFailure(request.get('http://localhost:3564/posts/1'), 404);
+            })
+            .then(function () {
+              return expectFailure(request.get('http://localhost:3564/posts/1/comments'), 404);
+            });
+        });
+
+        it('should hide deleted models from relations and eager loads', function () {
+          return request
+            .get('http://localhost:3564/posts/2/comments')
+            .then(function (res) {
+              expect(_.map(res.body, 'text')).to.eql(['B']);
+              return request.del('http://localhost:3564/posts/2/comments');
+            })
+            .then(function () {
+              return request.get('http://localhost:3564/posts').query({eager: 'comments'});
+            })
+            .then(function (res) {
+              expect(_.map(res.body, function (post) {
+                return _.map(post.comments, 'text');
+              })).to.eql([['A'], []]);
+              return knex('Comment');
+            })
+            .then(function (rows) {
+              expect(rows).to.have.length(3);
+            });
+        });
+
+        it('should only return deleted models with withDeleted=true if allowed', function () {
+          return request
+            .del('http://localhost:3564/posts/1')
+            .then(function () {
+              return expectFailure(request.get('http://localhost:3564/posts').query({withDeleted: true}), 403);
+            })
+            .then(function () {
+              return request.get('http://localhost:3564/posts').query({withDeleted: true}).set('X-Admin', 'true');
+            })
+            .then(function (res) {
+              expect(_.map(res.body, 'id')).to.eql([1, 2]);
+            });
+        });
+
+        it('should restore deleted models', function () {
+          return request
+            .del('http://localhost:3564/posts/1')
+            .then(function () {
+              return request.post('http://localhost:3564/posts/1/restore');
+            })
+            .then(function (res) {
+              expect(res.body).to.eql({id: 1, title: 'First', deletedAt: null});
+              return request.get('http://localhost:3564/posts/1');
+            })
+            .then(function (res) {
+              expect(res.body.title).to.equal('First');
+              return expectFailure(request.post('http://localhost:3564/posts/1/restore'), 404);
+            });
+        });
+
+        it('should soft delete the related models that a graph upsert removes', function () {
+          return request
+            .put('http://localhost:3564/posts/2')
+            .send({title: 'Second', comments: [{text: 'D'}]})
+            .then(function () {
+              return knex('Comment').where('postId', 2).orderBy('id');
+            })
+            .then(function (rows) {
+              expect(_.map(rows, 'text')).to.eql(['B', 'C', 'D']);
+              expect(rows[0].deletedAt).to.not.equal(null);
+              expect(rows[2].deletedAt).to.equal(null);
+              return request.get('http://localhost:3564/posts/2/comments');
+            })
+            .then(function (res) {
+              expect(_.map(res.body, 'text')).to.eql(['D']);
+            });
+        });
+
+      });
+
+      describe('audit log', function () {
+        var failSink = false;
+
+        before(function () {
+          return knex.schema
+            .dropTableIfExists('AuditLog')
+            .createTable('AuditLog', function (table) {
+              table.increments('id').primary();
+              table.string('operation');
+              table.string('method');
+              table.string('path');
+              table.string('route');
+              table.string('tableName');
+              table.string('modelId');
+              table.string('relation');
+              table.string('ownerId');
+              table.text('actor');
+              table.text('before');
+              table.text('after');
+              table.dateTime('createdAt');
+            });
+        });
+
+        before(function () {
+          var tableSink = objectionRestGenerator.audit.tableSink('AuditLog');
+
+          var restApi = objectionRestGenerator(objection)
+            .auditSink(function (entries, trx) {
+              if (failSink) {
+                throw new Error('audit log is down');
+              }
+
+              return tableSink(entries, trx);
+            })
+            .addModel(Person, {allowInsert: '[pets, movies]', allowUpsert: 'pets'});
+
+          return startServer(testServers.express, restApi, {user: {id: 7}}).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        beforeEach(function () {
+          failSink = false;
+          return knex('AuditLog').delete();
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        after(function () {
+          return knex.schema.dropTable('AuditLog');
+        });
+
+        function auditLog() {
+          return knex('AuditLog').orderBy('id').then(function (rows) {
+            return _.map(rows, function (row) {
+              return _.assign(_.omit(row, 'id', 'createdAt'), {
+                actor: JSON.parse(row.actor),
+                before: JSON.parse(row.before),
+                after: JSON.parse(row.after)
               });
+            });
           });
+        }
+
+        it('should write an entry with before and after snapshots for each mutation', function () {
+          return request
+            .patch('http://localhost:3564/persons/1')
+            .send({firstName: 'Changed'})
+            .then(function () {
+              return request.del('http://localhost:3564/persons/2');
+            })
+            .then(function () {
+              return auditLog();
+            })
+            .then(function (rows) {
+              expect(rows).to.have.length(2);
+
+              expect(_.omit(rows[0], 'before', 'after')).to.eql({
+                operation: 'patch',
+                method: 'PATCH',
+                path: '/persons/1',
+                route: '/persons/:id',
+                tableName: 'Person',
+                modelId: '1',
+                relation: null,
+                ownerId: null,
+                actor: {id: 7}
+              });
+              expect(rows[0].before.firstName).to.equal('F00');
+              expect(rows[0].after.firstName).to.equal('Changed');
+
+              expect(rows[1].operation).to.equal('delete');
+              expect(rows[1].modelId).to.equal('2');
+              expect(rows[1].before.firstName).to.equal('F01');
+              expect(rows[1].after).to.equal(null);
+            });
+        });
 
+        it('should write an entry for each model of a relation PUT diff', function () {
+          return request
+            .put('http://localhost:3564/persons/4/pets')
+            .send([{id: 34, name: 'Updated'}, {name: 'New'}])
+            .then(function () {
+              return auditLog();
+            })
+            .then(function (rows) {
+              expect(_.uniq(_.map(rows, 'relation'))).to.eql(['pets']);
+              expect(_.uniq(_.map(rows, 'ownerId'))).to.eql(['4']);
+              expect(_.countBy(rows, 'operation')).to.eql({update: 1, insert: 1, delete: 9});
+
+              var update = _.find(rows, {operation: 'update'});
+              expect(update.modelId).to.equal('34');
+              expect(update.before.name).to.equal('P33');
+              expect(update.after.name).to.equal('Updated');
+            });
         });
 
-        describe('PATCH /persons', function () {
+        it('should write an entry for each model of an inserted graph', function () {
+          return request
+            .post('http://localhost:3564/persons')
+            .send({firstName: 'Graph', pets: [{name: 'G1'}, {name: 'G2'}], movies: [{name: 'GM'}]})
+            .then(function (res) {
+              var personId = String(res.body.id);
+
+              return auditLog().then(function (rows) {
+                expect(_.map(rows, 'operation')).to.eql(['insert', 'insert', 'insert', 'insert']);
+                expect(_.map(rows, function (row) {
+                  return [row.tableName, row.relation, row.ownerId, row.after.name || row.after.firstName];
+                })).to.eql([
+                  ['Person', null, null, 'Graph'],
+                  ['Animal', 'pets', personId, 'G1'],
+                  ['Animal', 'pets', personId, 'G2'],
+                  ['Movie', 'movies', personId, 'GM']
+                ]);
+              });
+            });
+        });
 
-          it('should patch all persons', function () {
-            return request
-              .patch('http://localhost:3564/persons')
-              .send({age: 666})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body.total).to.equal(numPersons);
-                return session.knex('Person').where({
-                  age: 666
-                });
-              }).then(function (rows) {
-                expect(rows).to.have.length(numPersons);
+        it('should write an entry for each model of an upserted graph', function () {
+          return request
+            .put('http://localhost:3564/persons/1')
+            .send({firstName: 'Upserted', pets: [{id: 1, name: 'Renamed'}, {name: 'New pet'}]})
+            .then(function () {
+              return auditLog();
+            })
+            .then(function (rows) {
+              var person = _.find(rows, {tableName: 'Person'});
+              var pets = _.filter(rows, {tableName: 'Animal'});
+
+              expect(person.operation).to.equal('update');
+              expect(person.before.firstName).to.equal('F00');
+              expect(person.after.firstName).to.equal('Upserted');
+
+              expect(_.uniq(_.map(pets, 'relation'))).to.eql(['pets']);
+              expect(_.uniq(_.map(pets, 'ownerId'))).to.eql(['1']);
+              expect(_.countBy(pets, 'operation')).to.eql({update: 1, insert: 1, delete: 9});
+
+              var update = _.find(pets, {operation: 'update'});
+              expect(update.modelId).to.equal('1');
+              expect(update.before.name).to.equal('P00');
+              expect(update.after.name).to.equal('Renamed');
+              expect(_.find(pets, {operation: 'insert'}).after.name).to.equal('New pet');
+            });
+        });
+
+        it('should roll back the operation if the sink fails', function () {
+          failSink = true;
+
+          return expectFailure(request.patch('http://localhost:3564/persons/1').send({firstName: 'Changed'}), 500)
+            .then(function () {
+              return knex('Person').where('id', 1);
+            })
+            .then(function (rows) {
+              expect(rows[0].firstName).to.equal('F00');
+            });
+        });
+
+      });
+
+      describe('count and aggregates', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person, {aggregateFields: ['age']})
+            .addModel(Animal, {groupByFields: ['ownerId']});
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should count the models that match the filters', function () {
+          return request
+            .get('http://localhost:3564/persons/_count')
+            .query({'age:gt': 30, orderBy: 'age', rangeStart: 0, rangeEnd: 1})
+            .then(function (res) {
+              expect(res.body).to.eql({total: 6});
+              return request.get('http://localhost:3564/persons/4/pets/_count').query({'name:in': 'P30,P31,P99'});
+            })
+            .then(function (res) {
+              expect(res.body).to.eql({total: 2});
+              return request.get('http://localhost:3564/persons/1/movies/_count');
+            })
+            .then(function (res) {
+              expect(res.body).to.eql({total: numMoviesPerPerson});
+            });
+        });
+
+        it('should compute aggregates grouped by the groupBy properties', function () {
+          return request
+            .get('http://localhost:3564/persons/_aggregate')
+            .query({'age:gte': 40, aggregate: 'count,sum:age,avg:age,max:age'})
+            .then(function (res) {
+              expect(res.body).to.eql([{count: 6, 'sum:age': 390, 'avg:age': 65, 'max:age': 90}]);
+              return request.get('http://localhost:3564/animals/_aggregate').query({groupBy: 'ownerId', 'ownerId:lte': 2});
+            })
+            .then(function (res) {
+              res.body = integerIds(res.body, 'ownerId');
+              expect(res.body).to.eql([{ownerId: 1, count: numAnimalsPerPerson}, {ownerId: 2, count: numAnimalsPerPerson}]);
+              return request.get('http://localhost:3564/persons/1/movies/_aggregate');
+            })
+            .then(function (res) {
+              expect(res.body).to.eql([{count: numMoviesPerPerson}]);
+            });
+        });
+
+        it('should fail with 400 if a field is not in aggregateFields or groupByFields', function () {
+          return expectFailure(request.get('http://localhost:3564/persons/_aggregate').query({aggregate: 'sum:id', groupBy: 'lastName'}), 400)
+            .then(function (err) {
+              expect(err.body.code).to.equal('InvalidQuery');
+              expect(err.body.errors).to.eql({
+                aggregate: [{message: 'field "id" can\'t be aggregated', keyword: 'aggregate'}],
+                groupBy: [{message: 'field "lastName" can\'t be grouped by', keyword: 'groupBy'}]
               });
+              return expectFailure(request.get('http://localhost:3564/persons/_aggregate').query({aggregate: 'median:age'}), 400);
+            });
+        });
+
+      });
+
+      describe('pagination', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person, {defaultPageSize: 3, maxPageSize: 5})
+            .addModel(Animal, {maxPageSize: 4});
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
           });
+        });
 
-          it('should patch a subset with filters', function () {
-            return request
-              .patch('http://localhost:3564/persons')
-              .query({
-                "firstName:like": "F%",
-                "pets.name:lt": "P80",
-                "movies.name:gte": "M19",
-                "movies.name:lt": "M60"
-              })
-              .send({age: 666})
-              .then(function (res) {
-                expect(res.status).to.equal(200);
-                expect(res.body.total).to.equal(4);
-                return session.knex('Person').where({
-                  age: 666
-                });
-              }).then(function (rows) {
-                expect(rows).to.have.length(4);
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should use the default page size', function () {
+          return request
+            .get('http://localhost:3564/persons')
+            .query({orderBy: 'id'})
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(res.body.total).to.equal(numPersons);
+              expect(_.map(res.body.results, 'firstName')).to.eql(['F00', 'F01', 'F02']);
+            });
+        });
+
+        it('should limit the page size to the maximum', function () {
+          return request
+            .get('http://localhost:3564/persons')
+            .query({orderBy: 'id', rangeStart: 2, rangeEnd: 100})
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(res.body.total).to.equal(numPersons);
+              expect(_.map(res.body.results, 'firstName')).to.eql(['F02', 'F03', 'F04', 'F05', 'F06']);
+            });
+        });
+
+        it('should reject negative and inverted ranges with 400', function () {
+          return expectFailure(request.get('http://localhost:3564/persons').query({rangeStart: 0, rangeEnd: -2}), 400)
+            .then(function () {
+              return expectFailure(request.get('http://localhost:3564/persons').query({rangeStart: -5, rangeEnd: 2}), 400);
+            })
+            .then(function () {
+              return expectFailure(request.get('http://localhost:3564/persons').query({rangeStart: 5, rangeEnd: 4}), 400);
+            });
+        });
+
+        it('should use the default page size if only range start is given', function () {
+          return request
+            .get('http://localhost:3564/persons')
+            .query({orderBy: 'id', rangeStart: 8})
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(res.body.total).to.equal(numPersons);
+              expect(_.map(res.body.results, 'firstName')).to.eql(['F08', 'F09']);
+            });
+        });
+
+        it('should page relation queries using the related model\'s options', function () {
+          return request
+            .get('http://localhost:3564/persons/4/pets')
+            .query({orderBy: 'name'})
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(res.body.total).to.equal(numAnimalsPerPerson);
+              expect(_.map(res.body.results, 'name')).to.eql(['P30', 'P31', 'P32', 'P33']);
+            });
+        });
+
+        it('should not page the relations of models without page size', function () {
+          return request
+            .get('http://localhost:3564/persons/4/movies')
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              expect(res.body).to.have.length(numMoviesPerPerson);
+            });
+        });
+
+      });
+
+      describe('cursor pagination', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person, {cursorPagination: true, defaultPageSize: 4})
+            .addModel(Animal, {cursorPagination: true, maxPageSize: 3});
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        function fetchAll(url, query, pages, onPage) {
+          return request
+            .get(url)
+            .query(query)
+            .then(function (res) {
+              expect(res.status).to.equal(200);
+              pages.push(res.body.results);
+
+              return Promise.resolve(onPage && onPage(pages.length)).then(function () {
+                if (res.body.nextCursor) {
+                  return fetchAll(url, _.assign({}, query, {cursor: res.body.nextCursor}), pages, onPage);
+                }
               });
+            })
+            .then(function () {
+              return pages;
+            });
+        }
+
+        it('should page through the results ordered by id', function () {
+          return fetchAll('http://localhost:3564/persons', {}, []).then(function (pages) {
+            expect(_.map(pages, 'length')).to.eql([4, 4, 2]);
+            expect(_.map(_.flatten(pages), 'firstName')).to.eql(_.map(_.range(numPersons), function (i) {
+              return 'F0' + i;
+            }));
+          });
+        });
+
+        it('should compose with filters and orderings', function () {
+          var query = {
+            'age:gte': 20,
+            orderByDesc: 'lastName',
+            limit: 3
+          };
+
+          return fetchAll('http://localhost:3564/persons', query, []).then(function (pages) {
+            expect(_.map(pages, 'length')).to.eql([3, 3, 2]);
+            expect(_.map(_.flatten(pages), 'lastName')).to.eql(['L07', 'L06', 'L05', 'L04', 'L03', 'L02', 'L01', 'L00']);
+          });
+        });
+
+        it('should not return duplicates when rows are inserted between pages', function () {
+          var query = {orderByDesc: 'age'};
+
+          return fetchAll('http://localhost:3564/persons', query, [], function (page) {
+            if (page === 1) {
+              return session.knex('Person').insert({firstName: 'New', lastName: 'Person', age: 1000});
+            }
+          }).then(function (pages) {
+            var names = _.map(_.flatten(pages), 'firstName');
+            expect(names).to.have.length(numPersons);
+            expect(_.uniq(names)).to.have.length(numPersons);
+            expect(names).to.not.contain('New');
+          });
+        });
+
+        it('should page through NULL values of the ordering columns last', function () {
+          return session.knex('Person').update('age', null).whereIn('id', [2, 5, 8]).then(function () {
+            return Promise.all([
+              fetchAll('http://localhost:3564/persons', {orderBy: 'age', limit: 3}, []),
+              fetchAll('http://localhost:3564/persons', {orderByDesc: 'age', limit: 3}, [])
+            ]);
+          }).spread(function (ascPages, descPages) {
+            expect(_.map(ascPages, 'length')).to.eql([3, 3, 3, 1]);
+            expect(_.map(_.flatten(ascPages), 'firstName')).to.eql(['F00', 'F02', 'F03', 'F05', 'F06', 'F08', 'F09', 'F01', 'F04', 'F07']);
+            expect(_.map(_.flatten(descPages), 'firstName')).to.eql(['F09', 'F08', 'F06', 'F05', 'F03', 'F02', 'F00', 'F01', 'F04', 'F07']);
+          });
+        });
+
+        it('should page relation queries', function () {
+          return fetchAll('http://localhost:3564/persons/4/pets', {orderByDesc: 'name', limit: 100}, []).then(function (pages) {
+            expect(_.map(pages, 'length')).to.eql([3, 3, 3, 1]);
+            expect(_.map(_.flatten(pages), 'name')).to.eql(['P39', 'P38', 'P37', 'P36', 'P35', 'P34', 'P33', 'P32', 'P31', 'P30']);
+          });
+        });
+
+        it('should fail with 400 if the cursor is invalid', function () {
+          return expectFailure(request.get('http://localhost:3564/persons').query({cursor: 'invalid'}), 400);
+        });
+
+        it('should fail with 400 if the cursor was created for a different ordering', function () {
+          return request
+            .get('http://localhost:3564/persons')
+            .query({orderBy: 'age'})
+            .then(function (res) {
+              var req = request
+                .get('http://localhost:3564/persons')
+                .query({orderBy: 'lastName', cursor: res.body.nextCursor});
+
+              return expectFailure(req, 400);
+            });
+        });
+
+        it('should fail with 400 if range parameters are given', function () {
+          return expectFailure(request.get('http://localhost:3564/persons').query({rangeStart: 0, rangeEnd: 5}), 400);
+        });
+
+      });
+
+      _.each(testServers, function (createServer, adapterName) {
+
+        describe('error responses (' + adapterName + ')', function () {
+
+          before(function () {
+            class ValidatedPerson extends Person {}
+            ValidatedPerson.jsonSchema = {
+              type: 'object',
+              properties: {
+                age: {type: 'integer'},
+                firstName: {type: 'string', minLength: 1}
+              }
+            };
+
+            var restApi = objectionRestGenerator(objection).addModel(ValidatedPerson);
+
+            return startServer(createServer, restApi).then(function ($server) {
+              server = $server;
+            });
+          });
+
+          after(function (done) {
+            server.close(function () {
+              done();
+            });
+          });
+
+          it('should respond with a structured 404 error', function () {
+            return expectFailure(request.get('http://localhost:3564/persons/9999'), 404).then(function (err) {
+              expect(err.body).to.eql({status: 404, code: 'NotFound', message: 'Not Found', errors: {}});
+            });
+          });
+
+          it('should respond with per-field validation errors', function () {
+            var req = request.post('http://localhost:3564/persons').send({age: 'old', firstName: ''});
+
+            return expectFailure(req, 400).then(function (err) {
+              expect(err.body.status).to.equal(400);
+              expect(err.body.code).to.equal('ValidationError');
+              expect(_.keys(err.body.errors).sort()).to.eql(['age', 'firstName']);
+              expect(err.body.errors.age[0].keyword).to.equal('type');
+              expect(err.body.errors.firstName[0].keyword).to.equal('minLength');
+            });
+          });
+
+          it('should prefix the validation errors of bulk items with their index', function () {
+            var req = request.post('http://localhost:3564/persons').send([{age: 1}, {age: 'old'}]);
+
+            return expectFailure(req, 400).then(function (err) {
+              expect(_.keys(err.body.errors)).to.eql(['1.age']);
+            });
+          });
+
+        });
+
+      });
+
+      describe('error responses', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .addModel(Person)
+            .addModel(Animal);
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should map unique constraint violations to 409', function () {
+          var req = request.post('http://localhost:3564/persons').send({id: 1, firstName: 'Duplicate'});
+
+          return expectFailure(req, 409).then(function (err) {
+            expect(err.body.code).to.equal('UniqueViolation');
+          });
+        });
+
+        it('should map foreign key constraint violations to 422', function () {
+          var req = request.post('http://localhost:3564/animals').send({name: 'Stray', ownerId: 9999});
+
+          return expectFailure(req, 422).then(function (err) {
+            expect(err.body.code).to.equal('ForeignKeyViolation');
+          });
+        });
+
+        it('should map unknown filter parameters to 400', function () {
+          var req = request.get('http://localhost:3564/persons').query({'firstName:unknownFilter': 'F00'});
+
+          return expectFailure(req, 400).then(function (err) {
+            expect(err.body.code).to.equal('InvalidQuery');
+            expect(err.body.message).to.contain('firstName:unknownFilter');
+          });
+        });
+
+      });
+
+      describe('http adapter', function () {
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection).addModel(Person);
+
+          return startServer(testServers.http, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should respond with 400 to paths with malformed percent-encoding', function () {
+          return expectFailure(request.get('http://localhost:3564/persons/%E0%A4%A'), 400)
+            .then(function (err) {
+              expect(err.body.code).to.equal('BadRequest');
+              return request.get('http://localhost:3564/persons/1');
+            })
+            .then(function (res) {
+              expect(res.body.id).to.equal(1);
+            });
+        });
+
+        it('should respond with 413 to too large bodies', function () {
+          var req = request.post('http://localhost:3564/persons').send({firstName: _.repeat('x', 2 * 1024 * 1024)});
+
+          return expectFailure(req, 413).then(function (err) {
+            expect(err.body.code).to.equal('PayloadTooLarge');
+            expect(err.res.header.connection).to.equal('close');
+            return Person.query().where('firstName', 'like', 'xxx%');
+          }).then(function (rows) {
+            expect(rows).to.have.length(0);
           });
+        });
+
+        it('should pass server errors to onError', function () {
+          var errors = [];
+          var app = objectionRestGenerator.adapters.http.createApp({
+            onError: function (err, req) {
+              errors.push({status: err.statusCode, message: err.cause.message, url: req.url});
+            }
+          });
+
+          objectionRestGenerator(objection)
+            .adapter(objectionRestGenerator.adapters.http)
+            .addModel(Person, {
+              authorize: function () {
+                throw new Error('authorization service is down');
+              }
+            })
+            .generate(app);
+
+          var errorServer = http.createServer(app);
+
+          return new Promise(function (resolve) {
+            errorServer.listen(3565, null, resolve);
+          }).then(function () {
+            return expectFailure(request.get('http://localhost:3565/persons/1'), 500);
+          }).then(function (err) {
+            expect(err.body.code).to.equal('InternalServerError');
+            expect(errors).to.eql([{status: 500, message: 'authorization service is down', url: '/persons/1'}]);
+          }).finally(function () {
+            return new Promise(function (resolve) {
+              errorServer.close(resolve);
+            });
+          });
+        });
+
+      });
+
+      describe('errorFormatter', function () {
+        var formattedRequest = null;
+
+        before(function () {
+          var restApi = objectionRestGenerator(objection)
+            .errorFormatter(function (err, req) {
+              formattedRequest = req;
+              return {error: err.code, status: err.statusCode};
+            })
+            .addModel(Animal);
+
+          return startServer(testServers.express, restApi).then(function ($server) {
+            server = $server;
+          });
+        });
+
+        after(function (done) {
+          server.close(function () {
+            done();
+          });
+        });
+
+        it('should create the error response body', function () {
+          return expectFailure(request.get('http://localhost:3564/animals/9999'), 404).then(function (err) {
+            expect(err.body).to.eql({error: 'NotFound', status: 404});
+            expect(formattedRequest.path).to.equal('/animals/9999');
+          });
+        });
+
+      });
+
+      describe('openApi', function () {
+
+        it('should describe all generated routes', function () {
+          var doc = objectionRestGenerator(objection)
+            .addModel(Person)
+            .addModel(Movie)
+            .addModel(Animal)
+            .openApi({info: {title: 'Test API'}});
+
+          expect(doc.openapi).to.equal('3.0.0');
+          expect(doc.info).to.eql({title: 'Test API', version: '1.0.0'});
+          expect(_.keys(doc.paths['/persons']).sort()).to.eql(['delete', 'get', 'head', 'patch', 'post']);
+          expect(_.keys(doc.paths['/persons/{id}']).sort()).to.eql(['delete', 'get', 'head', 'patch', 'put']);
+          expect(_.keys(doc.paths['/persons/{id}/parent']).sort()).to.eql(['delete', 'get', 'head', 'post']);
+          expect(_.keys(doc.paths['/persons/{id}/movies']).sort()).to.eql(['delete', 'get', 'head', 'post', 'put']);
+          expect(_.keys(doc.paths['/persons/{id}/movies/{relatedId}']).sort()).to.eql(['delete', 'post']);
+          expect(_.keys(doc.paths['/persons/{id}/pets/{relatedId}']).sort()).to.eql(['delete', 'post']);
+          expect(doc.paths['/_batch'].post.operationId).to.equal('batch');
+          expect(_.map(doc.paths['/persons/{id}'].get.parameters, 'name')).to.eql(['id', 'eager', 'fields', 'If-None-Match']);
+          expect(_.map(doc.paths['/persons'].get.parameters, 'name')).to.eql([
+            'filters', 'eager', 'fields', 'orderBy', 'orderByAsc', 'orderByDesc', 'rangeStart', 'rangeEnd'
+          ]);
+          expect(_.map(doc.paths['/persons'].delete.parameters, 'name')).to.eql(['filters', 'ids']);
+          expect(doc.paths['/persons/{id}/pets'].get.responses['200'].content['application/json'].schema.oneOf[0].items).to.eql({
+            $ref: '#/components/schemas/Animal'
+          });
+          expect(_.keys(doc.paths['/persons'].post.responses)).to.eql(['201']);
+          expect(_.keys(doc.paths['/persons/{id}'].delete.responses)).to.eql(['204', '404', '412']);
+          expect(_.keys(doc.components.schemas).sort()).to.eql(['Animal', 'Movie', 'Person']);
+        });
+
+        it('should honor exclude, routePrefix and pluralizer', function () {
+          var doc = objectionRestGenerator(objection)
+            .routePrefix('/api')
+            .pluralizer(_.identity)
+            .exclude('PUT', '/api/person/:id')
+            .exclude('DELETE', /movies/)
+            .addModel(Person)
+            .openApi();
+
+          expect(_.keys(doc.paths['/api/person/{id}']).sort()).to.eql(['delete', 'get', 'head', 'patch']);
+          expect(_.keys(doc.paths['/api/person/{id}/movies']).sort()).to.eql(['get', 'head', 'post', 'put']);
+          expect(doc.paths['/persons']).to.equal(undefined);
+        });
+
+        it('should convert jsonSchema into OpenAPI schemas', function () {
+          class Thing extends objection.Model {}
+          Thing.tableName = 'Thing';
+          Thing.knex(knex);
+          Thing.jsonSchema = {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              id: {type: 'integer'},
+              name: {type: 'string'},
+              parentId: {type: ['integer', 'null']},
+              value: {type: ['string', 'number']}
+            }
+          };
+
+          var doc = objectionRestGenerator(objection).addModel(Thing).openApi();
+
+          expect(doc.components.schemas.Thing).to.eql({
+            type: 'object',
+            required: ['name'],
+            properties: {
+              id: {type: 'integer'},
+              name: {type: 'string'},
+              parentId: {type: 'integer', nullable: true},
+              value: {oneOf: [{type: 'string'}, {type: 'number'}]}
+            }
+          });
+          expect(doc.paths['/things/{id}'].patch.requestBody.content['application/json'].schema.required).to.equal(undefined);
+        });
+
+        it('should only describe the readable fields in responses and the writable fields in requests', function () {
+          class Account extends objection.Model {}
+          Account.tableName = 'Account';
+          Account.knex(knex);
+          Account.jsonSchema = {
+            type: 'object',
+            required: ['name', 'password'],
+            properties: {
+              id: {type: 'integer'},
+              name: {type: 'string'},
+              password: {type: 'string'},
+              role: {type: 'string'},
+              createdAt: {type: 'string'}
+            }
+          };
+
+          var doc = objectionRestGenerator(objection)
+            .addModel(Account, {
+              hiddenFields: ['password'],
+              readOnlyFields: ['id', 'createdAt'],
+              writableFields: {update: ['name', 'password']}
+            })
+            .openApi();
+
+          function requestSchema(path, method) {
+            return doc.paths[path][method].requestBody.content['application/json'].schema;
+          }
+
+          expect(doc.components.schemas.Account).to.eql({
+            type: 'object',
+            required: ['name'],
+            properties: {
+              id: {type: 'integer'},
+              name: {type: 'string'},
+              role: {type: 'string'},
+              createdAt: {type: 'string'}
+            }
+          });
+          expect(doc.paths['/accounts/{id}'].get.responses['200'].content['application/json'].schema).to.eql({
+            $ref: '#/components/schemas/Account'
+          });
+          expect(requestSchema('/accounts', 'post').oneOf[0]).to.eql({
+            type: 'object',
+            required: ['name', 'password'],
+            properties: {
+              name: {type: 'string'},
+              password: {type: 'string'},
+              role: {type: 'string'}
+            }
+          });
+          expect(requestSchema('/accounts/{id}', 'put')).to.eql({
+            type: 'object',
+            required: ['name', 'password'],
+            properties: {
+              name: {type: 'string'},
+              password: {type: 'string'}
+            }
+          });
+          expect(requestSchema('/accounts/{id}', 'patch')).to.eql({
+            type: 'object',
+            properties: {
+              name: {type: 'string'},
+              password: {type: 'string'}
+            }
+          });
+        });
 
+        it('should describe the documents of the serializer', function () {
+          var doc = objectionRestGenerator(objection)
+            .serializer(objectionRestGenerator.serializers.jsonApi)
+            .addModel(Person, {defaultPageSize: 10})
+            .openApi();
+
+          function content(body) {
+            expect(_.keys(body.content)).to.eql(['application/vnd.api+json']);
+            return body.content['application/vnd.api+json'].schema;
+          }
+
+          var personResource = {
+            type: 'object',
+            properties: {
+              type: {type: 'string', enum: ['persons']},
+              id: {type: 'string'},
+              attributes: {$ref: '#/components/schemas/Person'},
+              relationships: {type: 'object'},
+              links: {type: 'object'}
+            },
+            required: ['type', 'id']
+          };
+
+          expect(content(doc.paths['/persons/{id}'].get.responses['200'])).to.eql({
+            type: 'object',
+            properties: {
+              data: personResource,
+              included: {type: 'array', items: {type: 'object'}}
+            },
+            required: ['data']
+          });
+          expect(content(doc.paths['/persons'].get.responses['200']).properties.data).to.eql({type: 'array', items: personResource});
+          expect(content(doc.paths['/persons'].get.responses['200']).properties.meta).to.eql({
+            type: 'object',
+            properties: {total: {type: 'integer'}}
+          });
+          expect(content(doc.paths['/persons/{id}'].patch.requestBody).properties.data.properties.type).to.eql({type: 'string', enum: ['persons']});
+          expect(content(doc.paths['/persons/_count'].get.responses['200'])).to.eql({
+            type: 'object',
+            properties: {meta: {type: 'object', properties: {total: {type: 'integer'}}}}
+          });
+          expect(content(doc.paths['/_batch'].post.requestBody).type).to.equal('array');
+        });
+
+      });
+
+      describe('routes', function () {
+
+        it('should list all routes with the excluded ones flagged', function () {
+          var routes = objectionRestGenerator(objection)
+            .exclude('PUT', '/persons/:id')
+            .addModel(Person)
+            .routes();
+
+          expect(_.find(routes, {method: 'GET', path: '/persons/:id/movies'})).to.eql({
+            method: 'GET',
+            path: '/persons/:id/movies',
+            model: 'Person',
+            relation: 'movies',
+            operation: 'relationFindAll',
+            excluded: false
+          });
+          expect(_.find(routes, {method: 'PUT', path: '/persons/:id'}).excluded).to.equal(true);
+          expect(_.find(routes, {path: '/persons/:id/parent', method: 'PUT'})).to.equal(undefined);
+          expect(_.find(routes, {path: '/_batch', method: 'POST'})).to.eql({
+            method: 'POST',
+            path: '/_batch',
+            model: null,
+            relation: null,
+            operation: 'batch',
+            excluded: false
+          });
+        });
+
+        it('should format routes into a table for the command line', function () {
+          var table = require('../lib/cli').formatRoutes([
+            {method: 'GET', path: '/persons', model: 'Person', relation: null, operation: 'findAll', excluded: false},
+            {method: 'PUT', path: '/persons/:id', model: 'Person', relation: null, operation: 'update', excluded: true}
+          ]);
+
+          expect(table.split('\n')).to.eql([
+            'METHOD  PATH          OPERATION  MODEL   RELATION  EXCLUDED',
+            'GET     /persons      findAll    Person  -',
+            'PUT     /persons/:id  update     Person  -         yes'
+          ]);
         });
 
       });
@@ -696,3 +3577,14 @@ function integerIds() {
 
   return rows;
 }
+
+function expectFailure(req, statusCode) {
+  return req
+    .then(function () {
+      throw new Error('should not get here');
+    })
+    .catch(function (err) {
+      expect(err.status).to.equal(statusCode);
+      return err;
+    });
+}